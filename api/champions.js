@@ -0,0 +1,45 @@
+/*
+* ======================================
+* FILE: api/champions.js
+* ======================================
+* Champion list for the watchlist autocomplete: every champion's name,
+* internal ID, icon and nicknames, from the cached Data Dragon data.
+* Read-only and doesn't touch the Riot API key, so it's a plain GET.
+*/
+
+const { loadChampionData, getPatchVersion, getChampionList, isChampionDataLoaded } = require('../lib/champions');
+const { createError, errorFromException, sendError } = require('../lib/errors');
+const { guardRequest } = require('../lib/guard');
+
+// --- CONFIGURATION ---
+// Browsers and the CDN may reuse the list for this long; it only changes with a patch
+const CACHE_MAX_AGE_SECONDS = 60 * 60;
+// ---------------------
+
+// --- THE MAIN SERVERLESS HANDLER ---
+module.exports = async (req, res) => {
+    // --- CORS and abuse protection (answers preflights itself) ---
+    if (!guardRequest(req, res, { methods: 'GET, OPTIONS' })) return;
+
+    if (req.method === 'GET') {
+        try {
+            await loadChampionData();
+            if (!isChampionDataLoaded()) {
+                return sendError(res, createError('UPSTREAM_UNAVAILABLE', 'Champion data is not available right now.'));
+            }
+
+            res.setHeader('Cache-Control', `public, max-age=${CACHE_MAX_AGE_SECONDS}`);
+            res.status(200).json({
+                version: getPatchVersion(),
+                champions: getChampionList(),
+            });
+
+        } catch (error) {
+            console.error("[Server] Error in champions:", error);
+            sendError(res, errorFromException(error));
+        }
+    } else {
+        res.setHeader('Allow', ['GET', 'OPTIONS']);
+        sendError(res, createError('METHOD_NOT_ALLOWED', `Method ${req.method} Not Allowed`));
+    }
+};
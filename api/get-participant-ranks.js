@@ -0,0 +1,55 @@
+/*
+* ======================================
+* FILE: api/get-participant-ranks.js
+* ======================================
+* NEW FILE. Rank and champion mastery for the players of one lobby.
+* The frontend calls it when a lobby is opened in the details modal,
+* so checks don't spend 2 calls per participant on every refresh.
+* The lookups themselves live in lib/ranks.js.
+*/
+
+const { getPlatformUrl } = require('../lib/riot-client');
+const { enrichParticipants } = require('../lib/ranks');
+const { createError, errorFromException, sendError, readRequestBody } = require('../lib/errors');
+const { guardRequest } = require('../lib/guard');
+
+// --- CONFIGURATION ---
+const MAX_PARTICIPANTS = 10; // One game's worth
+// ---------------------
+
+const isValidParticipant = (participant) => {
+    return Boolean(participant) && typeof participant.puuid === 'string' && participant.puuid !== ''
+        && (participant.championId === undefined || participant.championId === null || Number.isInteger(participant.championId));
+}
+
+// --- THE MAIN SERVERLESS HANDLER ---
+module.exports = async (req, res) => {
+    // --- CORS and abuse protection (answers preflights itself) ---
+    // One quota unit per participant looked up
+    if (!guardRequest(req, res, { maxPlayers: MAX_PARTICIPANTS, costPerPlayer: true })) return;
+
+    if (req.method === 'POST') {
+        try {
+            const body = readRequestBody(req, res);
+            if (!body) return;
+
+            const { region, players } = body; // Expects [{ puuid, championId? }, ...]
+            if (!Array.isArray(players) || !players.every(isValidParticipant)) {
+                return sendError(res, createError('INVALID_REQUEST', 'players must be a list of { puuid, championId }.'));
+            }
+            if (!getPlatformUrl(region)) {
+                return sendError(res, createError('INVALID_REGION', `Unknown region '${region}'.`));
+            }
+
+            const enriched = await enrichParticipants(region, players.map(p => ({ puuid: p.puuid, championId: p.championId })));
+            res.status(200).json(enriched.map(p => ({ puuid: p.puuid, rank: p.rank, mastery: p.mastery })));
+
+        } catch (error) {
+            console.error("[Server] Error in get-participant-ranks:", error);
+            sendError(res, errorFromException(error));
+        }
+    } else {
+        res.setHeader('Allow', ['POST', 'OPTIONS']);
+        sendError(res, createError('METHOD_NOT_ALLOWED', `Method ${req.method} Not Allowed`));
+    }
+};
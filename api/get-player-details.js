@@ -0,0 +1,87 @@
+/*
+* ======================================
+* FILE: api/get-player-details.js
+* ======================================
+* Full details for one radar target. The radar only knows PUUIDs, so this
+* looks the player up by PUUID and returns the same status as check-status
+* (live game or last match, risk, watchlist) plus their Riot ID.
+*/
+
+const { getPlatformUrl, getRegionalUrl } = require('../lib/riot-client');
+const { cachedFetch } = require('../lib/cache');
+const { resolveRiskConfig } = require('../lib/risk');
+const { isValidQueue, normalizeQueue } = require('../lib/queues');
+const { loadChampionData } = require('../lib/champions');
+const { parseWatchlist, getWatchlistError } = require('../lib/watchlist');
+const { STATUS_LOOKUPS, getPlayerStatusByPuuid } = require('../lib/player-status');
+const { createError, errorFromResponse, errorFromException, sendError, readRequestBody } = require('../lib/errors');
+const { guardRequest } = require('../lib/guard');
+
+// --- HELPER FUNCTIONS ---
+// Quota units (lib/guard.js): the account lookup, a status check and one
+// lookup per recent match, which `body.riskConfig.matchCount` sets
+const getQuotaCost = (body) => 1 + STATUS_LOOKUPS + resolveRiskConfig((body || {}).riskConfig).matchCount;
+// ---------------------
+
+// --- THE MAIN SERVERLESS HANDLER ---
+module.exports = async (req, res) => {
+    // --- CORS and abuse protection (answers preflights itself) ---
+    // Charged per Riot call, so a longer risk history costs more quota
+    if (!guardRequest(req, res, { cost: getQuotaCost(req.body) })) return;
+
+    if (req.method === 'POST') {
+        try {
+            const body = readRequestBody(req, res);
+            if (!body) return;
+            await loadChampionData();
+
+            const { puuid, region, queue } = body;
+            if (!puuid || !region) {
+                return sendError(res, createError('INVALID_REQUEST', 'Missing puuid or region.'));
+            }
+            if (!getPlatformUrl(region)) {
+                return sendError(res, createError('INVALID_REGION', `Unknown region '${region}'.`));
+            }
+            if (!isValidQueue(queue)) {
+                return sendError(res, createError('INVALID_REQUEST', `Unknown queue '${queue}'.`));
+            }
+            const watchlist = parseWatchlist(body);
+            const watchlistError = getWatchlistError(watchlist);
+            if (watchlistError) {
+                return sendError(res, watchlistError);
+            }
+
+            // 1. Riot ID for the header of the details view
+            const fromCache = {};
+            const accountResponse = await cachedFetch(`https://${getRegionalUrl(region)}/riot/account/v1/accounts/by-puuid/${encodeURIComponent(puuid)}`, 'account');
+            fromCache.account = accountResponse.fromCache;
+            if (!accountResponse.ok) {
+                return sendError(res, errorFromResponse(accountResponse));
+            }
+            const accountData = await accountResponse.json();
+
+            // 2. Same status as a normal check
+            const status = await getPlayerStatusByPuuid(region, puuid, watchlist, {
+                fromCache,
+                riskConfig: resolveRiskConfig(body.riskConfig),
+                queue: normalizeQueue(queue),
+            });
+
+            res.status(200).json({
+                ...status,
+                puuid: puuid,
+                gameName: accountData.gameName,
+                tagLine: accountData.tagLine,
+                region: region,
+                fromCache: fromCache,
+            });
+
+        } catch (error) {
+            console.error("[Server] Error in get-player-details:", error);
+            sendError(res, errorFromException(error));
+        }
+    } else {
+        res.setHeader('Allow', ['POST', 'OPTIONS']);
+        sendError(res, createError('METHOD_NOT_ALLOWED', `Method ${req.method} Not Allowed`));
+    }
+};
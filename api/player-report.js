@@ -0,0 +1,89 @@
+/*
+* ======================================
+* FILE: api/player-report.js
+* ======================================
+* Scouting report for one player: recent form over their last `count`
+* matches (default 10). Used by the "Report" tab of the details modal.
+*/
+
+const { getPlatformUrl, getRegionalUrl } = require('../lib/riot-client');
+const { cachedFetch } = require('../lib/cache');
+const { isValidQueue, normalizeQueue, getQueueQuery } = require('../lib/queues');
+const { loadChampionData, getPatchVersion } = require('../lib/champions');
+const { processMatchData } = require('../lib/player-status');
+const { MAX_REPORT_COUNT, parseReportCount, getQuotaCost, buildPlayerReport } = require('../lib/report');
+const { createError, errorFromResponse, errorFromException, sendError, readRequestBody } = require('../lib/errors');
+const { guardRequest } = require('../lib/guard');
+
+// --- THE MAIN SERVERLESS HANDLER ---
+module.exports = async (req, res) => {
+    // --- CORS and abuse protection (answers preflights itself) ---
+    // Charged per Riot call, so longer reports cost more quota
+    if (!guardRequest(req, res, { cost: getQuotaCost(req.body) })) return;
+
+    if (req.method === 'POST') {
+        try {
+            const body = readRequestBody(req, res);
+            if (!body) return;
+            await loadChampionData();
+
+            const { gameName, tagLine, region, queue } = body;
+            if (!gameName || !tagLine || !region) {
+                return sendError(res, createError('INVALID_REQUEST', 'Missing gameName, tagLine, or region.'));
+            }
+            const platform = getPlatformUrl(region);
+            const regional = getRegionalUrl(region);
+            if (!platform) {
+                return sendError(res, createError('INVALID_REGION', `Unknown region '${region}'.`));
+            }
+            if (!isValidQueue(queue)) {
+                return sendError(res, createError('INVALID_REQUEST', `Unknown queue '${queue}'.`));
+            }
+            const count = parseReportCount(body.count);
+            if (count === null) {
+                return sendError(res, createError('INVALID_REQUEST', `count must be a whole number from 1 to ${MAX_REPORT_COUNT}.`));
+            }
+            const cleanTagLine = tagLine.startsWith('#') ? tagLine.substring(1) : tagLine;
+
+            // 1. PUUID
+            const accountResponse = await cachedFetch(`https://${regional}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(cleanTagLine)}`, 'account');
+            if (!accountResponse.ok) {
+                return sendError(res, errorFromResponse(accountResponse));
+            }
+            const accountData = await accountResponse.json();
+            const puuid = accountData.puuid;
+
+            // 2. Profile icon (not required for the report)
+            const summonerResponse = await cachedFetch(`https://${platform}/lol/summoner/v4/summoners/by-puuid/${puuid}`, 'summoner');
+            const summonerData = summonerResponse.ok ? await summonerResponse.json() : null;
+
+            // 3. Last N matches
+            const matchListResponse = await cachedFetch(`https://${regional}/lol/match/v5/matches/by-puuid/${puuid}/ids?count=${count}${getQueueQuery(queue)}`, 'matchList');
+            if (!matchListResponse.ok) {
+                return sendError(res, errorFromResponse(matchListResponse, 'NOT_FOUND', 'Match history not found'));
+            }
+            const matchList = await matchListResponse.json();
+            const matches = await Promise.all(matchList.map(async (matchId) => {
+                const matchDataResponse = await cachedFetch(`https://${regional}/lol/match/v5/matches/${matchId}`, 'match');
+                return matchDataResponse.ok ? processMatchData(await matchDataResponse.json(), puuid) : null;
+            }));
+
+            res.status(200).json({
+                gameName: accountData.gameName,
+                tagLine: accountData.tagLine,
+                region: region,
+                puuid: puuid,
+                queue: normalizeQueue(queue),
+                profileIconUrl: summonerData ? `https://ddragon.leagueoflegends.com/cdn/${getPatchVersion()}/img/profileicon/${summonerData.profileIconId}.png` : null,
+                ...buildPlayerReport(matches),
+            });
+
+        } catch (error) {
+            console.error("[Server] Error in player-report:", error);
+            sendError(res, errorFromException(error));
+        }
+    } else {
+        res.setHeader('Allow', ['POST', 'OPTIONS']);
+        sendError(res, createError('METHOD_NOT_ALLOWED', `Method ${req.method} Not Allowed`));
+    }
+};
@@ -0,0 +1,347 @@
+#!/usr/bin/env node
+/*
+* ======================================
+* FILE: bin/dodge.js
+* ======================================
+* Command-line client. Runs the same checks as the API handlers (lib/),
+* in process, straight against the Riot API, so it needs RIOT_API_KEY
+* (or RIOT_MOCK=1 for the offline fixtures, see lib/mock-riot.js).
+*
+*   dodge check Name#TAG [Name2#TAG ...] [--champ Katarina] [--queue ranked]
+*   dodge lastgame Name#TAG [--games 3]
+*   dodge radar Name#TAG [--games 3] [--watch] [--interval 30]
+*
+* Every command takes --region (default DODGE_REGION or EUW1), --json and
+* --verbose (server logs on stderr). Exit codes: 0 SAFE / done, 1 DODGE,
+* 2 bad usage or failed lookup, 3 SAFE but some players couldn't be checked.
+*/
+
+const { RIOT_API_KEY, getPlatformUrl, delay } = require('../lib/riot-client');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { resolveRiskConfig, getLobbyVerdict } = require('../lib/risk');
+const { isValidQueue, normalizeQueue } = require('../lib/queues');
+const { loadChampionData } = require('../lib/champions');
+const { parseWatchlist, getWatchlistError } = require('../lib/watchlist');
+const { formatTimeAgo, checkPlayer } = require('../lib/player-status');
+const { detectPremades } = require('../lib/premades');
+const { MAX_GAME_COUNT, parseGameCount, getLastGameParticipants } = require('../lib/last-game');
+const { getSuggestedPollInterval, checkRadarPlayers } = require('../lib/radar');
+
+// --- CONFIGURATION ---
+const DEFAULT_REGION = process.env.DODGE_REGION || 'EUW1';
+const CHECK_CONCURRENCY = 3; // Same default as /api/check-status
+const DEFAULT_WATCH_INTERVAL_SECONDS = 30; // Radar --watch; raised to what the rate limits allow
+const EXIT_CODES = { SAFE: 0, DODGE: 1, ERROR: 2, INCOMPLETE: 3 };
+
+const VALUE_FLAGS = new Set(['region', 'champ', 'queue', 'games', 'interval']);
+const BOOLEAN_FLAGS = new Set(['json', 'watch', 'verbose', 'no-color', 'help']);
+
+const USAGE = `Usage:
+  dodge check Name#TAG [Name2#TAG ...] [--champ Katarina] [--queue ranked]
+  dodge lastgame Name#TAG [--games N]
+  dodge radar Name#TAG [--games N] [--watch] [--interval SECONDS]
+
+Options:
+  --region REGION    Platform for every player (default ${DEFAULT_REGION})
+  --champ NAME       Watchlist champion; repeat or comma-separate for more
+  --queue QUEUE      Match history queue (any, ranked, ranked_solo, ...)
+  --games N          Recent games to load players from (1-${MAX_GAME_COUNT})
+  --watch            Radar: keep polling and print every change
+  --interval S       Radar: seconds between polls (at least what the rate limits allow)
+  --json             Print JSON instead of a table
+  --verbose          Print server logs to stderr
+  --no-color         Plain output (also when NO_COLOR is set or not a terminal)
+
+Exit codes: 0 SAFE, 1 DODGE, 2 error, 3 SAFE but some players failed`;
+// ---------------------
+
+// --- OUTPUT HELPERS ---
+const ANSI = { red: 31, green: 32, yellow: 33, blue: 34, gray: 90, bold: 1 };
+// Same colors as the status classes in index.html
+const STATUS_COLORS = { IN_GAME: 'blue', HIGH_RISK: 'red', LOW_RISK: 'green', ERROR: 'yellow', NOT_IN_GAME: 'gray' };
+const RELATION_COLORS = { ally: 'green', enemy: 'red', mixed: 'yellow' };
+let useColor = false;
+
+const paint = (color, text) => useColor && color ? `\x1b[${ANSI[color]}m${text}\x1b[0m` : String(text);
+
+const print = (line = '') => process.stdout.write(line + '\n');
+
+// Cells are plain strings or [text, color]; widths are measured before coloring
+const printTable = (headers, rows) => {
+    const cells = rows.map(row => row.map(cell => Array.isArray(cell) ? cell : [String(cell), null]));
+    const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(row => row[i][0].length)));
+    print(headers.map((header, i) => paint('bold', header.padEnd(widths[i]))).join('  '));
+    cells.forEach(row => print(row.map(([text, color], i) => paint(color, text.padEnd(widths[i]))).join('  ')));
+}
+
+// The libs log for the server console; the CLI only shows that with --verbose
+const routeServerLogs = (verbose) => {
+    const toStderr = (...args) => process.stderr.write(args.map(a => a instanceof Error ? a.stack : String(a)).join(' ') + '\n');
+    console.log = console.info = console.warn = console.error = verbose ? toStderr : () => {};
+}
+
+const formatDuration = (ms) => {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+const formatClockTime = (timestamp) => new Date(timestamp).toTimeString().substring(0, 8);
+
+// "back in 8-16m" from an eta (see lib/eta.js)
+const formatBackInQueue = (eta) => {
+    if (!eta) return '';
+    const earliest = Math.max(0, Math.round((eta.backInQueue.earliest - Date.now()) / 60000));
+    const latest = Math.max(0, Math.round((eta.backInQueue.latest - Date.now()) / 60000));
+    return eta.overtime ? 'back any minute' : `back in ${earliest}-${latest}m`;
+}
+
+const formatWatchlist = (watchlist) => {
+    if (!watchlist || watchlist.length === 0) return ['-', 'gray'];
+    const parts = watchlist.map(w => {
+        if (w.banned) return `${w.champion} banned`;
+        if (w.picked) return `${w.champion} picked`;
+        return null;
+    }).filter(Boolean);
+    return parts.length > 0 ? [parts.join(', '), watchlist.some(w => w.banned) ? 'red' : 'blue'] : ['clear', 'green'];
+}
+// ---------------------
+
+// --- ARGUMENTS ---
+class UsageError extends Error {}
+
+const parseArgs = (argv) => {
+    const args = { command: null, positional: [], champs: [], flags: {} };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h') {
+            args.flags.help = true;
+        } else if (arg.startsWith('--')) {
+            const equals = arg.indexOf('=');
+            const name = arg.substring(2, equals === -1 ? undefined : equals);
+            if (BOOLEAN_FLAGS.has(name)) {
+                args.flags[name] = true;
+            } else if (VALUE_FLAGS.has(name)) {
+                const value = equals === -1 ? argv[++i] : arg.substring(equals + 1);
+                if (value === undefined) throw new UsageError(`--${name} needs a value.`);
+                if (name === 'champ') args.champs.push(...value.split(','));
+                else args.flags[name] = value;
+            } else {
+                throw new UsageError(`Unknown option ${arg}.`);
+            }
+        } else if (!args.command) {
+            args.command = arg;
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+// "Name#TAG" -> { gameName, tagLine }
+const parseRiotId = (text) => {
+    const index = text.lastIndexOf('#');
+    const gameName = index === -1 ? '' : text.substring(0, index).trim();
+    const tagLine = index === -1 ? '' : text.substring(index + 1).trim();
+    if (!gameName || !tagLine) throw new UsageError(`'${text}' is not a Riot ID (expected Name#TAG).`);
+    return { gameName, tagLine };
+}
+
+const getRegion = (args) => {
+    const region = String(args.flags.region || DEFAULT_REGION).toUpperCase();
+    if (!getPlatformUrl(region)) throw new UsageError(`Unknown region '${region}'.`);
+    return region;
+}
+
+const getQueue = (args) => {
+    if (!isValidQueue(args.flags.queue)) throw new UsageError(`Unknown queue '${args.flags.queue}'.`);
+    return normalizeQueue(args.flags.queue);
+}
+
+const getGameCount = (args) => {
+    const gameCount = parseGameCount(args.flags.games);
+    if (gameCount === null) throw new UsageError(`--games must be a whole number from 1 to ${MAX_GAME_COUNT}.`);
+    return gameCount;
+}
+
+const getSingleRiotId = (args) => {
+    if (args.positional.length !== 1) throw new UsageError(`${args.command} takes exactly one Name#TAG.`);
+    return parseRiotId(args.positional[0]);
+}
+// ---------------------
+
+// --- COMMANDS ---
+// Each command resolves with its exit code. A lookup error is thrown as { code, message } (see lib/errors.js).
+
+const runCheck = async (args) => {
+    if (args.positional.length === 0) throw new UsageError('check needs at least one Name#TAG.');
+    const region = getRegion(args);
+    const queue = getQueue(args);
+    const players = args.positional.map(parseRiotId).map(id => ({ ...id, region, id: `${id.gameName}#${id.tagLine}` }));
+
+    await loadChampionData();
+    const watchlist = parseWatchlist({ champsToTrack: args.champs });
+    const watchlistError = getWatchlistError(watchlist);
+    if (watchlistError) throw watchlistError;
+
+    const histories = [];
+    const statuses = await mapWithConcurrency(players, CHECK_CONCURRENCY, checkPlayer(watchlist, { riskConfig: resolveRiskConfig(), queue, enrich: false }, histories));
+    const premades = detectPremades(histories);
+    const verdict = getLobbyVerdict(statuses);
+    const failed = statuses.filter(s => s.status === 'ERROR').length;
+
+    if (args.flags.json) {
+        print(JSON.stringify({
+            verdict,
+            players: statuses.map(status => ({ ...status, premade: premades.find(group => group.playerIds.includes(status.id)) || null })),
+            premades,
+        }, null, 2));
+    } else {
+        printTable(['PLAYER', 'STATUS', 'LAST GAME', 'WATCHLIST', 'PREMADE'], statuses.map(status => {
+            const group = premades.findIndex(g => g.playerIds.includes(status.id));
+            const match = status.lastMatchDetails;
+            let lastGame = match ? `${match.championPlayed} ${match.kda} ${match.win ? 'W' : 'L'}` : '-';
+            if (status.status === 'IN_GAME') lastGame = formatBackInQueue(status.liveGameDetails.eta);
+            return [
+                status.id,
+                [status.status === 'ERROR' ? `${status.statusMessage} (${status.code})` : status.statusMessage, STATUS_COLORS[status.status]],
+                lastGame,
+                formatWatchlist(status.watchlist),
+                group === -1 ? '' : [`group ${group + 1}`, 'yellow'],
+            ];
+        }));
+        print();
+        const counts = ['IN_GAME', 'HIGH_RISK', 'ERROR'].map(s => [s, statuses.filter(p => p.status === s).length]).filter(([, n]) => n > 0);
+        const details = counts.map(([s, n]) => `${n} ${s.toLowerCase().replace('_', ' ')}`).join(', ');
+        print(`${paint(verdict === 'DODGE' ? 'red' : 'green', paint('bold', verdict))}${details ? ` (${details})` : ''}`);
+    }
+
+    if (verdict === 'DODGE') return EXIT_CODES.DODGE;
+    return failed > 0 ? EXIT_CODES.INCOMPLETE : EXIT_CODES.SAFE;
+}
+
+const loadParticipants = async (args) => {
+    const { gameName, tagLine } = getSingleRiotId(args);
+    const region = getRegion(args);
+    const queue = getQueue(args);
+    const gameCount = getGameCount(args);
+    await loadChampionData();
+    const { participants, error } = await getLastGameParticipants(region, gameName, tagLine, { queue, gameCount });
+    if (error) throw error;
+    return participants;
+}
+
+const runLastGame = async (args) => {
+    const participants = await loadParticipants(args);
+    if (args.flags.json) {
+        print(JSON.stringify(participants, null, 2));
+        return EXIT_CODES.SAFE;
+    }
+    printTable(['PLAYER', 'RELATION', 'GAMES', 'CHAMPIONS', 'LAST SEEN', 'QUEUE'], participants.map(p => [
+        `${p.gameName}#${p.tagLine}`,
+        [p.relation, RELATION_COLORS[p.relation]],
+        String(p.encounters),
+        p.champions.slice(0, 3).map(c => c.games > 1 ? `${c.champion} x${c.games}` : c.champion).join(', '),
+        formatTimeAgo(Math.max(0, Math.floor((Date.now() - p.lastSeen) / 60000))),
+        p.match.queueName,
+    ]));
+    return EXIT_CODES.SAFE;
+}
+
+const getRadarStatusText = (status) => {
+    if (status.status === 'IN_GAME') {
+        const elapsed = status.gameStartTime > 0 ? formatDuration(Date.now() - status.gameStartTime) : 'loading';
+        return `IN GAME ${elapsed}, ${formatBackInQueue(status.eta)}`;
+    }
+    if (status.status === 'ERROR') return `${status.statusMessage} (${status.code})`;
+    return 'not in game';
+}
+
+const runRadar = async (args) => {
+    const participants = await loadParticipants(args);
+    const targets = participants.map(p => ({ ...p, name: `${p.gameName}#${p.tagLine}` }));
+    const minIntervalSeconds = Number(args.flags.interval) || DEFAULT_WATCH_INTERVAL_SECONDS;
+    let previous = null; // puuid -> status from the last sweep
+
+    while (true) {
+        const statuses = await checkRadarPlayers(targets.map(t => ({ puuid: t.puuid, region: t.region })));
+        const checkedAt = Date.now();
+
+        if (args.flags.json) {
+            // One line per sweep, so --watch output can be read as NDJSON
+            const rows = targets.map((t, i) => ({ gameName: t.gameName, tagLine: t.tagLine, puuid: t.puuid, relation: t.relation, ...statuses[i] }));
+            print(JSON.stringify(args.flags.watch ? { checkedAt, targets: rows } : rows, null, args.flags.watch ? 0 : 2));
+        } else if (!previous) {
+            printTable(['PLAYER', 'RELATION', 'STATUS'], targets.map((t, i) => [
+                t.name,
+                [t.relation, RELATION_COLORS[t.relation]],
+                [getRadarStatusText(statuses[i]), STATUS_COLORS[statuses[i].status]],
+            ]));
+            const inGame = statuses.filter(s => s.status === 'IN_GAME').length;
+            print(`\n${inGame}/${targets.length} targets in game.`);
+        } else {
+            // Only what changed since the last sweep
+            targets.forEach((t, i) => {
+                const before = previous[t.puuid];
+                if (before === statuses[i].status) return;
+                const change = statuses[i].status === 'IN_GAME' ? 'entered a game' : (statuses[i].status === 'NOT_IN_GAME' ? 'left their game' : getRadarStatusText(statuses[i]));
+                print(`[${formatClockTime(checkedAt)}] ${t.name} ${paint(STATUS_COLORS[statuses[i].status], change)}`);
+            });
+        }
+
+        if (!args.flags.watch) {
+            return statuses.some(s => s.status === 'ERROR') ? EXIT_CODES.INCOMPLETE : EXIT_CODES.SAFE;
+        }
+        previous = {};
+        statuses.forEach(s => { previous[s.puuid] = s.status; });
+        const suggestedMs = getSuggestedPollInterval(targets);
+        await delay(Math.max(minIntervalSeconds * 1000, suggestedMs));
+    }
+}
+
+const COMMANDS = { check: runCheck, lastgame: runLastGame, radar: runRadar };
+// ---------------------
+
+// --- MAIN ---
+const main = async () => {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_CODES.ERROR;
+    }
+    if (args.flags.help || !args.command || args.command === 'help') {
+        print(USAGE);
+        return args.command && args.command !== 'help' && !COMMANDS[args.command] ? EXIT_CODES.ERROR : EXIT_CODES.SAFE;
+    }
+    const command = COMMANDS[args.command];
+    if (!command) {
+        process.stderr.write(`Unknown command '${args.command}'.\n\n${USAGE}\n`);
+        return EXIT_CODES.ERROR;
+    }
+
+    useColor = process.stdout.isTTY && !process.env.NO_COLOR && !args.flags['no-color'] && !args.flags.json;
+    routeServerLogs(args.flags.verbose);
+    if (!RIOT_API_KEY) {
+        process.stderr.write('RIOT_API_KEY is not set (or use RIOT_MOCK=1 for the offline fixtures).\n');
+        return EXIT_CODES.ERROR;
+    }
+
+    try {
+        return await command(args);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+        } else if (error && error.code && !(error instanceof Error)) {
+            // A lookup error from the libs (see lib/errors.js)
+            process.stderr.write(`${error.message} (${error.code})\n`);
+        } else {
+            process.stderr.write(`Check failed: ${error && error.stack ? error.stack : error}\n`);
+        }
+        return EXIT_CODES.ERROR;
+    }
+}
+
+process.on('SIGINT', () => process.exit(EXIT_CODES.SAFE)); // Ctrl+C ends radar --watch
+main().then(code => { process.exitCode = code; });
+// ---------------------
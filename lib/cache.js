@@ -0,0 +1,159 @@
+/*
+* ======================================
+* FILE: lib/cache.js
+* ======================================
+* Cache for Riot API lookups, shared across requests while the function
+* stays warm (or across cold starts with the file store).
+* Storage is pluggable: in-memory by default, file-backed with
+* CACHE_STORE=file. Every kind of lookup has its own TTL.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { authenticatedFetch } = require('./riot-client');
+
+// --- CONFIGURATION ---
+const CACHE_STORE = (process.env.CACHE_STORE || 'memory').toLowerCase(); // 'memory' | 'file' | 'off'
+const CACHE_DIR = process.env.CACHE_DIR || path.join(os.tmpdir(), 'dodge-tool-cache');
+const MAX_MEMORY_ENTRIES = 5000;
+
+const MINUTE = 60 * 1000;
+// TTL per kind of lookup, in ms. null means "never expires".
+const CACHE_TTLS = {
+    account: 24 * 60 * MINUTE, // Riot ID <-> PUUID barely ever changes
+    summoner: 60 * MINUTE,     // Profile icon
+    matchList: 1 * MINUTE,     // New games show up here
+    match: null,               // A finished match never changes
+    spectator: 20 * 1000,      // Live game state
+    league: 10 * MINUTE,       // Rank / LP per PUUID
+    mastery: 30 * MINUTE,      // Mastery per PUUID + champion
+};
+// Kinds where a 404 is a real answer worth caching ("not in a game", "never played this champion")
+const CACHE_NOT_FOUND = new Set(['spectator', 'mastery']);
+// ---------------------
+
+// --- STORES ---
+// A store is anything with async get(key) / set(key, entry) / delete(key).
+// Entries look like { value, expiresAt } (expiresAt null = permanent).
+
+const createMemoryStore = (maxEntries = MAX_MEMORY_ENTRIES) => {
+    const entries = new Map();
+    return {
+        get: async (key) => entries.get(key),
+        set: async (key, entry) => {
+            entries.delete(key); // Re-insert so the Map stays in insertion (age) order
+            entries.set(key, entry);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value); // Evict the oldest
+            }
+        },
+        delete: async (key) => { entries.delete(key); },
+    };
+}
+
+const createFileStore = (dir = CACHE_DIR) => {
+    const fileFor = (key) => path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+    return {
+        get: async (key) => {
+            try {
+                return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+            } catch (error) {
+                return undefined; // Missing or unreadable file is just a miss
+            }
+        },
+        set: async (key, entry) => {
+            try {
+                await fs.promises.mkdir(dir, { recursive: true });
+                await fs.promises.writeFile(fileFor(key), JSON.stringify(entry));
+            } catch (error) {
+                console.error("[Cache] Failed to write cache file:", error);
+            }
+        },
+        delete: async (key) => {
+            await fs.promises.unlink(fileFor(key)).catch(() => {});
+        },
+    };
+}
+
+const createDefaultStore = () => {
+    if (CACHE_STORE === 'off') return null;
+    if (CACHE_STORE === 'file') {
+        console.log(`[Cache] Using file store in ${CACHE_DIR}`);
+        return createFileStore();
+    }
+    return createMemoryStore();
+}
+
+let store = createDefaultStore();
+
+// Swap the storage backend (pass null to disable caching)
+const setCacheStore = (newStore) => {
+    store = newStore;
+}
+// ---------------------
+
+// --- CACHE API ---
+const getCached = async (kind, key) => {
+    if (!store) return undefined;
+    const entry = await store.get(`${kind}:${key}`);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+        await store.delete(`${kind}:${key}`);
+        return undefined;
+    }
+    return entry.value;
+}
+
+const setCached = async (kind, key, value) => {
+    if (!store) return;
+    const ttl = CACHE_TTLS[kind];
+    await store.set(`${kind}:${key}`, { value, expiresAt: ttl === null || ttl === undefined ? null : Date.now() + ttl });
+}
+
+// Response-like object so handlers can keep using .ok / .status / .json()
+const toResponse = ({ status, data }, fromCache) => ({
+    ok: status >= 200 && status < 300,
+    status: status,
+    fromCache: fromCache,
+    json: async () => data,
+});
+
+// Drop-in replacement for authenticatedFetch that serves cached responses.
+// `kind` picks the TTL (see CACHE_TTLS).
+const cachedFetch = async (url, kind) => {
+    const cached = await getCached(kind, url);
+    if (cached) {
+        console.log(`[Cache] HIT (${kind}) ${url}`);
+        return toResponse(cached, true);
+    }
+
+    const response = await authenticatedFetch(url);
+    const cacheable = response.ok || (response.status === 404 && CACHE_NOT_FOUND.has(kind));
+    if (!cacheable) {
+        response.fromCache = false;
+        return response;
+    }
+
+    let data = null;
+    try {
+        data = await response.json();
+    } catch (error) {
+        // 404s from the spectator API may have an empty body
+    }
+    const entry = { status: response.status, data };
+    await setCached(kind, url, entry);
+    return toResponse(entry, false);
+}
+// ---------------------
+
+module.exports = {
+    CACHE_TTLS,
+    createMemoryStore,
+    createFileStore,
+    setCacheStore,
+    getCached,
+    setCached,
+    cachedFetch,
+};
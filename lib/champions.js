@@ -0,0 +1,176 @@
+/*
+* ======================================
+* FILE: lib/champions.js
+* ======================================
+* Champion data from Data Dragon (moved out of check-status.js so the
+* watchlist and other handlers can share it). Cached in memory for as
+* long as the function stays warm.
+*/
+
+const { RIOT_MOCK, mockFetch } = require('./mock-riot');
+const fetch = RIOT_MOCK ? mockFetch : require('node-fetch');
+
+// --- DATA CACHE ---
+let championIdMap = {};  // '55' -> 'Katarina' (numeric key -> image key)
+let championKeyMap = {}; // 'Katarina' -> 'Katarina' (display name -> image key)
+let championList = [];   // [{ id: 'MonkeyKing', key: '62', name: 'Wukong' }], sorted by name
+let LATEST_PATCH_VERSION = "15.21.1";
+// ---------------------
+
+// --- NAME RESOLUTION ---
+// Nicknames people actually type -> image key. Only used if that champion exists in the data.
+const CHAMPION_ALIASES = {
+    'kat': 'Katarina', 'mf': 'MissFortune', 'tf': 'TwistedFate', 'asol': 'AurelionSol',
+    'j4': 'JarvanIV', 'jarvan': 'JarvanIV', 'lb': 'Leblanc', 'ww': 'Warwick', 'mundo': 'DrMundo',
+    'nunu': 'Nunu', 'willump': 'Nunu', 'wukong': 'MonkeyKing', 'cait': 'Caitlyn', 'kog': 'KogMaw',
+    'xin': 'XinZhao', 'yi': 'MasterYi', 'tk': 'TahmKench', 'tahm': 'TahmKench', 'gp': 'Gangplank',
+    'kass': 'Kassadin', 'morg': 'Morgana', 'liss': 'Lissandra', 'naut': 'Nautilus', 'rene': 'Renekton',
+    'blitz': 'Blitzcrank', 'heca': 'Hecarim', 'voli': 'Volibear', 'fiddle': 'Fiddlesticks',
+    'cho': 'Chogath', 'kha': 'Khazix', 'vel': 'Velkoz', 'ez': 'Ezreal', 'lee': 'LeeSin',
+    'renata': 'Renata', 'trist': 'Tristana', 'trynd': 'Tryndamere', 'mord': 'Mordekaiser',
+    'malph': 'Malphite', 'ori': 'Orianna', 'sej': 'Sejuani', 'eve': 'Evelynn', 'vlad': 'Vladimir',
+    'noc': 'Nocturne', 'panth': 'Pantheon', 'raka': 'Soraka', 'shyv': 'Shyvana', 'sol': 'AurelionSol',
+};
+const MIN_PREFIX_LENGTH = 3; // Shorter prefixes match too many champions to be useful
+const MAX_SUGGESTIONS = 3;
+
+// 'Kai'Sa' / 'kai sa' / 'KAISA' -> 'kaisa'
+const normalizeChampionName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Edit distance with adjacent swaps counting as one edit ('katrina' -> 'katarina' = 1)
+const editDistance = (a, b) => {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            if (i === 0) {
+                rows[i].push(j);
+                continue;
+            }
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let best = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                best = Math.min(best, rows[i - 2][j - 2] + 1);
+            }
+            rows[i].push(best);
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Allowed typos grow with the length of the input
+const getMaxTypos = (length) => length < 4 ? 0 : (length < 8 ? 1 : 2);
+
+const getAliases = (championId) => Object.keys(CHAMPION_ALIASES).filter(alias => CHAMPION_ALIASES[alias] === championId);
+
+// Resolves whatever the user typed to one champion. Tries, in order: display
+// name or internal ID (ignoring case, spaces and punctuation), numeric key,
+// nickname, unique prefix, then the closest name within a few typos.
+// Returns { champion: { id, key, name }, matchedBy } or { champion: null, suggestions: [names] }.
+const resolveChampion = (input) => {
+    const query = normalizeChampionName(input);
+    if (!query) return { champion: null, suggestions: [] };
+    const byId = (id) => championList.find(c => c.id === id);
+
+    const exact = championList.find(c => normalizeChampionName(c.name) === query || c.id.toLowerCase() === query || c.key === query);
+    if (exact) return { champion: exact, matchedBy: 'name' };
+
+    if (CHAMPION_ALIASES[query] && byId(CHAMPION_ALIASES[query])) {
+        return { champion: byId(CHAMPION_ALIASES[query]), matchedBy: 'alias' };
+    }
+
+    if (query.length >= MIN_PREFIX_LENGTH) {
+        const prefixed = championList.filter(c => normalizeChampionName(c.name).startsWith(query) || c.id.toLowerCase().startsWith(query));
+        if (prefixed.length === 1) return { champion: prefixed[0], matchedBy: 'prefix' };
+    }
+
+    const ranked = championList
+        .map(c => ({ champion: c, distance: Math.min(editDistance(query, normalizeChampionName(c.name)), editDistance(query, c.id.toLowerCase())) }))
+        .sort((a, b) => a.distance - b.distance);
+    const best = ranked[0];
+    const tied = best && ranked.length > 1 && ranked[1].distance === best.distance;
+    if (best && best.distance <= getMaxTypos(query.length) && !tied) {
+        return { champion: best.champion, matchedBy: 'typo' };
+    }
+    return { champion: null, suggestions: ranked.slice(0, MAX_SUGGESTIONS).map(r => r.champion.name) };
+}
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const loadChampionData = async () => {
+    if (Object.keys(championIdMap).length > 0) {
+        console.log("[Data Dragon] Champion data already cached.");
+        return;
+    }
+    try {
+        console.log("[Data Dragon] Fetching latest patch version...");
+        const versionResponse = await fetch('https://ddragon.leagueoflegends.com/api/versions.json');
+        const versions = await versionResponse.json();
+        LATEST_PATCH_VERSION = versions[0];
+
+        const response = await fetch(`https://ddragon.leagueoflegends.com/cdn/${LATEST_PATCH_VERSION}/data/en_US/champion.json`);
+        const json = await response.json();
+        const champions = json.data;
+
+        const tempIdMap = {};
+        const tempKeyMap = {};
+        const tempList = [];
+
+        for (const champKey in champions) {
+            const champData = champions[champKey];
+            tempIdMap[champData.key] = champData.id;
+            tempKeyMap[champData.name] = champData.id;
+            tempList.push({ id: champData.id, key: champData.key, name: champData.name });
+        }
+
+        championIdMap = tempIdMap;
+        championKeyMap = tempKeyMap;
+        championList = tempList.sort((a, b) => a.name.localeCompare(b.name));
+        console.log(`[Data Dragon] Loaded ${Object.keys(championIdMap).length} champions.`);
+
+    } catch (error) {
+        console.error("[Data Dragon] Failed to load champion data:", error);
+    }
+}
+
+const getPatchVersion = () => LATEST_PATCH_VERSION;
+
+// Image key for a typed champion name (see resolveChampion). Falls back to the
+// raw name when it can't be resolved, e.g. because Data Dragon didn't load.
+const getChampionKey = (champName) => {
+    if (championKeyMap[champName]) {
+        return championKeyMap[champName];
+    }
+    const { champion } = resolveChampion(champName);
+    return champion ? champion.id : champName;
+}
+
+const isChampionDataLoaded = () => championList.length > 0;
+
+// Every champion with its icon and nicknames, for autocomplete
+const getChampionList = () => championList.map(c => ({
+    ...c,
+    iconUrl: `https://ddragon.leagueoflegends.com/cdn/${LATEST_PATCH_VERSION}/img/champion/${c.id}.png`,
+    aliases: getAliases(c.id),
+}));
+
+// Numeric champion ID (as used by match-v5 / spectator-v5) -> image key
+const getChampionImageKey = (championId, fallback = 'Unknown') => {
+    return championIdMap[championId] || fallback;
+}
+
+const convertBanIdsToImageKeys = (banIds) => {
+    return banIds.map(id => getChampionImageKey(id));
+}
+// ---------------------
+
+module.exports = {
+    loadChampionData,
+    getPatchVersion,
+    getChampionKey,
+    resolveChampion,
+    isChampionDataLoaded,
+    getChampionList,
+    getChampionImageKey,
+    convertBanIdsToImageKeys,
+};
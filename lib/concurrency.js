@@ -0,0 +1,33 @@
+/*
+* ======================================
+* FILE: lib/concurrency.js
+* ======================================
+* Runs async work over a list with a cap on how many run at once.
+* The Riot client still enforces the rate limits; this only decides how
+* many players are in flight at the same time.
+*/
+
+// Calls worker(item, index) for every item, at most `limit` at a time.
+// onResult(result, index) fires as soon as each one finishes.
+// Resolves with all results in input order.
+const mapWithConcurrency = async (items, limit, worker, onResult = () => {}) => {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+            await onResult(results[index], index);
+        }
+    };
+
+    const runners = [];
+    for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+    return results;
+}
+
+module.exports = { mapWithConcurrency };
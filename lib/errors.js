@@ -0,0 +1,120 @@
+/*
+* ======================================
+* FILE: lib/errors.js
+* ======================================
+* One error schema for every endpoint and every per-player result.
+* Whole-request failures are sent as { error, code, retryAfter? } with the
+* HTTP status of the code. A single player failing inside a batch becomes
+* { status: 'ERROR', statusMessage, code, retryAfter? } instead.
+* retryAfter is in seconds.
+*/
+
+const { RIOT_API_KEY } = require('./riot-client');
+
+// --- ERROR CODES ---
+// Code -> HTTP status when the whole request fails with it
+const ERROR_CODES = {
+    INVALID_REQUEST: 400,      // Missing or malformed body fields
+    INVALID_REGION: 400,
+    UNKNOWN_CHAMPION: 400,     // A watchlist name that matches no champion
+    ACCESS_DENIED: 401,        // Missing or wrong API_ACCESS_TOKEN
+    ORIGIN_NOT_ALLOWED: 403,   // Origin not in ALLOWED_ORIGINS
+    PLAYER_NOT_FOUND: 404,
+    NOT_FOUND: 404,            // Anything else Riot has no data for (match history, ...)
+    METHOD_NOT_ALLOWED: 405,
+    RATE_LIMITED: 429,         // Riot kept answering 429 after the client's retries
+    TOO_MANY_PLAYERS: 429,     // More players than one request may check (see lib/guard.js)
+    QUOTA_EXCEEDED: 429,       // This client used up its own quota (see lib/guard.js)
+    INTERNAL_ERROR: 500,
+    API_KEY_INVALID: 500,      // Missing, expired or rejected RIOT_API_KEY (our problem, not the caller's)
+    UPSTREAM_UNAVAILABLE: 502, // Riot errored or couldn't be reached
+};
+
+// Short enough for a status cell in the player list
+const DEFAULT_MESSAGES = {
+    INVALID_REQUEST: 'Invalid Request',
+    INVALID_REGION: 'Unknown Region',
+    TOO_MANY_PLAYERS: 'Too Many Players',
+    UNKNOWN_CHAMPION: 'Unknown Champion',
+    ACCESS_DENIED: 'Access Denied',
+    ORIGIN_NOT_ALLOWED: 'Origin Not Allowed',
+    PLAYER_NOT_FOUND: 'Player Not Found',
+    NOT_FOUND: 'Not Found',
+    METHOD_NOT_ALLOWED: 'Method Not Allowed',
+    RATE_LIMITED: 'Rate Limited',
+    QUOTA_EXCEEDED: 'Quota Exceeded',
+    INTERNAL_ERROR: 'Check Failed',
+    API_KEY_INVALID: 'Server API Key Error',
+    UPSTREAM_UNAVAILABLE: 'Riot API Unavailable',
+};
+// ---------------------
+
+// --- BUILDING ERRORS ---
+// An error is a plain { code, message, retryAfter? }
+const createError = (code, message = DEFAULT_MESSAGES[code], retryAfter) => {
+    const error = { code, message };
+    if (retryAfter) error.retryAfter = retryAfter;
+    return error;
+}
+
+// From a failed Riot response (authenticatedFetch / cachedFetch). `notFoundCode`
+// says what a 404 means for this lookup.
+const errorFromResponse = (response, notFoundCode = 'PLAYER_NOT_FOUND', notFoundMessage) => {
+    const status = response.status;
+    if (status === 404) return createError(notFoundCode, notFoundMessage);
+    if (status === 429) {
+        const retryAfter = response.headers ? Number(response.headers.get('retry-after')) || null : null;
+        return createError('RATE_LIMITED', undefined, retryAfter);
+    }
+    // authenticatedFetch answers 500 'Server Configuration Error' itself when the key is missing
+    if (status === 401 || status === 403 || response.statusText === 'Server Configuration Error') return createError('API_KEY_INVALID');
+    if (status === 400) return createError('INVALID_REQUEST');
+    return createError('UPSTREAM_UNAVAILABLE', `Riot API Error ${status}`);
+}
+
+// From anything thrown while handling a request
+const errorFromException = (error) => {
+    if (error && error.name === 'FetchError') return createError('UPSTREAM_UNAVAILABLE'); // node-fetch network failure
+    return createError('INTERNAL_ERROR', 'An internal server error occurred.');
+}
+// ---------------------
+
+// --- SENDING ERRORS ---
+// Per-player result for batch endpoints (check-status, radar)
+const toPlayerError = (error) => ({
+    status: 'ERROR',
+    statusMessage: error.message,
+    code: error.code,
+    ...(error.retryAfter ? { retryAfter: error.retryAfter } : {}),
+});
+
+const sendError = (res, error) => {
+    if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+    const body = { error: error.message, code: error.code };
+    if (error.retryAfter) body.retryAfter = error.retryAfter;
+    return res.status(ERROR_CODES[error.code] || 500).json(body);
+}
+
+// First thing in a POST handler: `const body = readRequestBody(req, res); if (!body) return;`
+// Answers API_KEY_INVALID itself (and returns null) when the server has no
+// RIOT_API_KEY. No body at all comes back as {}, so the handler's own field
+// checks answer it with INVALID_REQUEST.
+const readRequestBody = (req, res) => {
+    if (!RIOT_API_KEY) {
+        console.error("Server is not configured with RIOT_API_KEY.");
+        sendError(res, createError('API_KEY_INVALID', 'Server configuration error.'));
+        return null;
+    }
+    return req.body && typeof req.body === 'object' ? req.body : {};
+}
+// ---------------------
+
+module.exports = {
+    ERROR_CODES,
+    createError,
+    errorFromResponse,
+    errorFromException,
+    toPlayerError,
+    sendError,
+    readRequestBody,
+};
@@ -0,0 +1,97 @@
+/*
+* ======================================
+* FILE: lib/eta.js
+* ======================================
+* "Back in queue" estimate for players in a live game. Blends the queue's
+* typical game length with the player's own recent game lengths and turns
+* it into a window of timestamps the UI can count down to.
+*/
+
+const { REMAKE_SECONDS, getGameDurationSeconds } = require('./risk');
+
+// --- CONFIGURATION ---
+const MINUTE = 60 * 1000;
+// Typical game length per queue ID, in minutes
+const QUEUE_AVERAGE_MINUTES = {
+    400: 30, 420: 29, 430: 28, 440: 29, 490: 27, // Summoner's Rift
+    450: 19,   // ARAM
+    700: 31,   // Clash
+    900: 21,   // ARURF
+    1700: 17,  // Arena
+    1900: 21,  // URF
+};
+const DEFAULT_AVERAGE_MINUTES = 28;
+const MIN_SPREAD_MINUTES = 4;      // Narrowest the window gets either side of the estimate
+const PRIOR_GAMES = 3;             // How many "queue average" games the player's own history is weighed against
+const POST_GAME_MINUTES = 2;       // End of game screen + back into queue
+const OVERTIME_WINDOW_MINUTES = 5; // Window used once the game is already longer than expected
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const standardDeviation = (values) => {
+    const mean = average(values);
+    return Math.sqrt(average(values.map(v => Math.pow(v - mean, 2))));
+}
+
+// Game lengths (minutes) from raw match-v5 payloads, same-queue games only
+// when there are any, remakes left out
+const getRecentDurations = (matches, queueId) => {
+    const durations = matches
+        .filter(m => m && m.info)
+        .map(m => ({ queueId: m.info.queueId, minutes: getGameDurationSeconds(m.info) / 60 }))
+        .filter(d => d.minutes * 60 >= REMAKE_SECONDS);
+    const sameQueue = durations.filter(d => d.queueId === queueId);
+    return (sameQueue.length > 0 ? sameQueue : durations).map(d => d.minutes);
+}
+// ---------------------
+
+// --- ESTIMATE ---
+// `gameStartTime` is from spectator-v5 (0 while still in the loading screen).
+// `recentMatches` are raw match-v5 payloads; pass [] when there's no history.
+const estimateGameEnd = (gameStartTime, queueId, recentMatches = []) => {
+    const now = Date.now();
+    const start = gameStartTime > 0 ? gameStartTime : now;
+    const queueAverage = QUEUE_AVERAGE_MINUTES[queueId] || DEFAULT_AVERAGE_MINUTES;
+
+    const durations = getRecentDurations(recentMatches, queueId);
+    const playerAverage = durations.length > 0 ? average(durations) : null;
+    // The more of their own games we have, the more they count
+    const playerWeight = durations.length / (durations.length + PRIOR_GAMES);
+    const expectedMinutes = playerAverage === null ? queueAverage : playerWeight * playerAverage + (1 - playerWeight) * queueAverage;
+    const spreadMinutes = Math.max(MIN_SPREAD_MINUTES, durations.length >= 2 ? standardDeviation(durations) : 0);
+
+    let earliestEnd = start + (expectedMinutes - spreadMinutes) * MINUTE;
+    let latestEnd = start + (expectedMinutes + spreadMinutes) * MINUTE;
+    const overtime = latestEnd <= now;
+    if (overtime) {
+        // Already longer than we'd expect: it can end any moment
+        earliestEnd = now;
+        latestEnd = now + OVERTIME_WINDOW_MINUTES * MINUTE;
+    } else if (earliestEnd < now) {
+        earliestEnd = now;
+    }
+
+    return {
+        expectedEnd: Math.round(Math.max(start + expectedMinutes * MINUTE, earliestEnd)),
+        earliestEnd: Math.round(earliestEnd),
+        latestEnd: Math.round(latestEnd),
+        backInQueue: {
+            earliest: Math.round(earliestEnd + POST_GAME_MINUTES * MINUTE),
+            latest: Math.round(latestEnd + POST_GAME_MINUTES * MINUTE),
+        },
+        overtime: overtime,
+        basis: {
+            queueAverageMinutes: queueAverage,
+            playerAverageMinutes: playerAverage === null ? null : Math.round(playerAverage * 10) / 10,
+            playerGames: durations.length,
+        },
+    };
+}
+// ---------------------
+
+module.exports = {
+    QUEUE_AVERAGE_MINUTES,
+    estimateGameEnd,
+};
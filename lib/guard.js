@@ -0,0 +1,187 @@
+/*
+* ======================================
+* FILE: lib/guard.js
+* ======================================
+* CORS and abuse protection shared by every handler in /api. Every call
+* spends our one RIOT_API_KEY, so besides the origin allow-list there is an
+* optional shared access token, a cap on players per request and a
+* sliding-window quota per client IP.
+* The quota lives in memory, so it is per warm function instance and
+* needs no outside service.
+*/
+
+const crypto = require('crypto');
+const { createError, sendError } = require('./errors');
+
+// --- CONFIGURATION ---
+// Comma-separated list, e.g. 'https://dodge.example.com,http://localhost:3000'. Empty = any origin.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+const API_ACCESS_TOKEN = process.env.API_ACCESS_TOKEN || ''; // Empty = no token needed
+const ACCESS_TOKEN_HEADER = 'X-Access-Token';
+const MAX_PLAYERS_PER_REQUEST = Number(process.env.MAX_PLAYERS_PER_REQUEST) || 20;
+// Quota units per client per window. A request costs 1, or what the route charges
+// (1 per player, or per Riot call it will make).
+const QUOTA_WINDOW_MS = (Number(process.env.QUOTA_WINDOW_SECONDS) || 60) * 1000;
+const QUOTA_LIMIT = Number(process.env.QUOTA_LIMIT) || 120;
+// The radar tracks everyone from the last few games, so it gets a bigger cap.
+// A sweep costs one unit per target, so it can't be bigger than the quota.
+const MAX_RADAR_PLAYERS_PER_REQUEST = Math.min(Number(process.env.MAX_RADAR_PLAYERS_PER_REQUEST) || 100, QUOTA_LIMIT);
+const MAX_TRACKED_CLIENTS = 10000;
+// ---------------------
+
+// --- QUOTA ---
+// A limiter is anything with take(key, cost) -> { allowed, retryAfterMs }.
+// This one keeps each client's recent requests and their cost, and allows a
+// request if it still fits in the last `windowMs`.
+const createSlidingWindowLimiter = ({ windowMs = QUOTA_WINDOW_MS, limit = QUOTA_LIMIT } = {}) => {
+    const clients = new Map(); // key -> [{ at, cost }], oldest first
+    return {
+        take: (key, cost = 1, now = Date.now()) => {
+            const entries = (clients.get(key) || []).filter(e => e.at > now - windowMs);
+            let used = entries.reduce((sum, e) => sum + e.cost, 0);
+            if (used + cost > limit) {
+                // Wait until enough of the oldest requests have left the window
+                let retryAt = now;
+                for (const entry of entries) {
+                    if (used + cost <= limit) break;
+                    used -= entry.cost;
+                    retryAt = entry.at + windowMs;
+                }
+                clients.set(key, entries);
+                return { allowed: false, retryAfterMs: Math.max(retryAt - now, 0) };
+            }
+            entries.push({ at: now, cost });
+            clients.delete(key); // Re-insert so the Map stays in last-seen order
+            clients.set(key, entries);
+            if (clients.size > MAX_TRACKED_CLIENTS) {
+                clients.delete(clients.keys().next().value); // Forget the longest idle client
+            }
+            return { allowed: true, retryAfterMs: 0 };
+        },
+    };
+}
+
+let limiter = createSlidingWindowLimiter();
+
+// How long (ms) a client should wait between requests costing `cost` units
+// so that polling alone never runs out of quota: as many requests as fit in
+// the limit, spread over one window
+const getQuotaPollInterval = (cost) => {
+    const requestsPerWindow = Math.max(Math.floor(QUOTA_LIMIT / Math.max(cost, 1)), 1);
+    return Math.ceil(QUOTA_WINDOW_MS / requestsPerWindow);
+}
+
+// Swap the limiter (e.g. a fresh one per test, or other limits)
+const setClientLimiter = (newLimiter) => {
+    limiter = newLimiter;
+}
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const getHeader = (req, name) => {
+    const value = (req.headers || {})[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+const getAccessToken = (req) => {
+    const token = getHeader(req, ACCESS_TOKEN_HEADER);
+    if (token) return String(token);
+    const authorization = String(getHeader(req, 'authorization') || '');
+    return authorization.startsWith('Bearer ') ? authorization.substring(7) : '';
+}
+
+const tokensMatch = (given, expected) => {
+    const a = Buffer.from(given);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The first X-Forwarded-For hop is the caller when we're behind Vercel's proxy
+const getClientIp = (req) => {
+    const forwarded = String(getHeader(req, 'x-forwarded-for') || '').split(',')[0].trim();
+    return forwarded || getHeader(req, 'x-real-ip') || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Clients are told apart by IP only. The access token is the same for
+// everyone who uses the site, and when none is configured the header is
+// whatever the caller makes up, so keying on it would hand out a fresh
+// quota per made-up token.
+const getClientKey = (req) => `ip:${getClientIp(req)}`;
+
+// Sets the CORS headers. Returns false if the request's origin isn't allowed.
+const applyCors = (req, res, methods, exposeHeaders) => {
+    const origin = String(getHeader(req, 'origin') || '').replace(/\/$/, '');
+    res.setHeader('Access-Control-Allow-Methods', methods);
+    res.setHeader('Access-Control-Allow-Headers', `Content-Type, ${ACCESS_TOKEN_HEADER}`);
+    res.setHeader('Access-Control-Expose-Headers', ['Retry-After', ...exposeHeaders].join(', '));
+    if (ALLOWED_ORIGINS.length === 0) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        return true;
+    }
+    res.setHeader('Vary', 'Origin');
+    // No Origin header: not a cross-origin browser call, the token and quota still apply
+    if (!origin) return true;
+    if (!ALLOWED_ORIGINS.includes(origin)) return false;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    return true;
+}
+// ---------------------
+
+// --- THE GUARD ---
+// Call first thing in a handler: `if (!guardRequest(req, res, options)) return;`
+// Answers CORS preflights and rejected requests itself and returns false for them.
+// options.maxPlayers caps req.body.players (defaults to MAX_PLAYERS_PER_REQUEST).
+// options.costPerPlayer charges the quota one unit per player instead of one per request.
+// options.cost charges a fixed number of units instead, for routes whose Riot
+// calls depend on other body fields (computed by the handler from req.body).
+// options.exposeHeaders lists extra response headers the frontend may read.
+// options.methods is the CORS method list, for the few read-only GET routes.
+// Only POSTs (the calls that spend the Riot key) need the token and use quota.
+const guardRequest = (req, res, options = {}) => {
+    const { maxPlayers = MAX_PLAYERS_PER_REQUEST, costPerPlayer = false, cost: fixedCost, exposeHeaders = [], methods = 'POST, OPTIONS' } = options;
+
+    if (!applyCors(req, res, methods, exposeHeaders)) {
+        console.warn(`[Guard] Rejected origin ${getHeader(req, 'origin')}`);
+        sendError(res, createError('ORIGIN_NOT_ALLOWED', 'This origin is not allowed to use the API.'));
+        return false;
+    }
+    if (req.method === 'OPTIONS') {
+        res.status(200).end();
+        return false;
+    }
+    // Anything else is the handler's to answer (405, or a read-only GET)
+    if (req.method !== 'POST') return true;
+
+    if (API_ACCESS_TOKEN && !tokensMatch(getAccessToken(req), API_ACCESS_TOKEN)) {
+        sendError(res, createError('ACCESS_DENIED', `Missing or wrong access token (send it in the ${ACCESS_TOKEN_HEADER} header).`));
+        return false;
+    }
+
+    const players = req.body && Array.isArray(req.body.players) ? req.body.players : null;
+    if (players && players.length > maxPlayers) {
+        sendError(res, createError('TOO_MANY_PLAYERS', `Too many players in one request (${players.length}, max ${maxPlayers}).`));
+        return false;
+    }
+
+    let cost = costPerPlayer && players ? Math.max(players.length, 1) : 1;
+    if (Number.isFinite(fixedCost) && fixedCost > 0) cost = fixedCost;
+    const clientKey = getClientKey(req);
+    const { allowed, retryAfterMs } = limiter.take(clientKey, cost);
+    if (!allowed) {
+        const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+        console.warn(`[Guard] Quota exceeded for ${clientKey}, retry in ${retryAfter}s`);
+        sendError(res, createError('QUOTA_EXCEEDED', `Too many requests from this client. Try again in ${retryAfter}s.`, retryAfter));
+        return false;
+    }
+    return true;
+}
+// ---------------------
+
+module.exports = {
+    MAX_PLAYERS_PER_REQUEST,
+    MAX_RADAR_PLAYERS_PER_REQUEST,
+    createSlidingWindowLimiter,
+    getQuotaPollInterval,
+    setClientLimiter,
+    guardRequest,
+};
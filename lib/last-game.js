@@ -0,0 +1,168 @@
+/*
+* ======================================
+* FILE: lib/last-game.js
+* ======================================
+* Everyone a player met in their last `gameCount` matches, once each, with
+* how often and when. Moved out of get-last-game-participants.js so the
+* CLI (bin/dodge.js) can load a lobby the same way.
+*/
+
+const { getPlatformUrl, getRegionalUrl } = require('./riot-client');
+const { cachedFetch } = require('./cache');
+const { mapWithConcurrency } = require('./concurrency');
+const { getQueueQuery, getQueueLabel } = require('./queues');
+const { getPatchVersion, getChampionImageKey } = require('./champions');
+const { getGameEnd } = require('./risk');
+const { createError, errorFromResponse } = require('./errors');
+
+// --- CONFIGURATION ---
+const DEFAULT_GAME_COUNT = 1;
+// Each game adds ~9 players at 2 lookups each, so 3 games (~60 calls) stays
+// within a development key's 100 calls / 2 min and the function timeout
+const MAX_GAME_COUNT = 3;
+const LOOKUP_CONCURRENCY = 3; // Players whose Riot ID / icon are fetched at once
+const PLAYERS_PER_GAME = 10; // Quota units per game: about one lookup per participant
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+// null when the count is out of range
+const parseGameCount = (gameCount) => {
+    if (gameCount === undefined || gameCount === null || gameCount === '') return DEFAULT_GAME_COUNT;
+    const count = Number(gameCount);
+    return Number.isInteger(count) && count >= 1 && count <= MAX_GAME_COUNT ? count : null;
+}
+
+// Quota units (lib/guard.js) a request for `body.gameCount` games costs.
+// An invalid count is rejected later, so it's charged like the default.
+const getQuotaCost = (body) => {
+    const gameCount = parseGameCount(body ? body.gameCount : undefined);
+    return (gameCount || DEFAULT_GAME_COUNT) * PLAYERS_PER_GAME;
+}
+
+// Folds the user's recent matches (newest first) into one entry per other
+// player: how often we met them, on which side, when, and on what champions.
+const collectEncounters = (matches, puuid) => {
+    const encounters = new Map();
+    for (const match of matches) {
+        const me = match.info.participants.find(p => p.puuid === puuid);
+        if (!me) continue;
+        const matchLabel = { matchId: match.metadata.matchId, ...getQueueLabel(match.info.queueId, match.info.mapId) };
+        const gameEnd = getGameEnd(match.info);
+
+        for (const p of match.info.participants) {
+            if (p.puuid === puuid) continue;
+            if (!encounters.has(p.puuid)) {
+                // First time seen is the most recent encounter
+                encounters.set(p.puuid, { puuid: p.puuid, encounters: 0, allyCount: 0, enemyCount: 0, lastSeen: gameEnd, match: matchLabel, champions: {} });
+            }
+            const entry = encounters.get(p.puuid);
+            const champion = getChampionImageKey(p.championId, p.championName);
+            entry.encounters++;
+            if (p.teamId === me.teamId) entry.allyCount++;
+            else entry.enemyCount++;
+            entry.champions[champion] = (entry.champions[champion] || 0) + 1;
+        }
+    }
+
+    return [...encounters.values()]
+        .map(entry => ({
+            ...entry,
+            relation: entry.enemyCount === 0 ? 'ally' : (entry.allyCount === 0 ? 'enemy' : 'mixed'),
+            champions: Object.keys(entry.champions)
+                .map(champion => ({ champion, games: entry.champions[champion] }))
+                .sort((a, b) => b.games - a.games),
+        }))
+        .sort((a, b) => b.encounters - a.encounters || b.lastSeen - a.lastSeen);
+}
+// ---------------------
+
+// --- THE LOOKUP ---
+// Resolves with { participants } or, if the lookup fails as a whole, { error }
+// (see lib/errors.js). Champion data should already be loaded.
+const getLastGameParticipants = async (region, gameName, tagLine, options = {}) => {
+    const { queue, gameCount = DEFAULT_GAME_COUNT } = options;
+    const platform = getPlatformUrl(region);
+    const regional = getRegionalUrl(region);
+    if (!platform) {
+        return { error: createError('INVALID_REGION', `Unknown region '${region}'.`) };
+    }
+
+    // 1. Get user's PUUID
+    const accountResponse = await cachedFetch(`https://${regional}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`, 'account');
+    if (!accountResponse.ok) {
+        return { error: errorFromResponse(accountResponse) };
+    }
+    const accountData = await accountResponse.json();
+    const puuid = accountData.puuid;
+
+    // 2. Get user's last N match IDs
+    const matchListResponse = await cachedFetch(`https://${regional}/lol/match/v5/matches/by-puuid/${puuid}/ids?count=${gameCount}${getQueueQuery(queue)}`, 'matchList');
+    if (!matchListResponse.ok) {
+        return { error: errorFromResponse(matchListResponse, 'NOT_FOUND', 'Match history not found') };
+    }
+    const matchList = await matchListResponse.json();
+    if (matchList.length === 0) {
+        return { error: createError('NOT_FOUND', 'No recent games found') };
+    }
+
+    // 3. Get those matches' data
+    const matchResponses = await Promise.all(matchList.map(matchId => cachedFetch(`https://${regional}/lol/match/v5/matches/${matchId}`, 'match')));
+    const matches = [];
+    for (const matchDataResponse of matchResponses) {
+        if (matchDataResponse.ok) matches.push(await matchDataResponse.json());
+    }
+    if (matches.length === 0) {
+        return { error: errorFromResponse(matchResponses[0], 'NOT_FOUND', 'Failed to retrieve match data') };
+    }
+
+    // 4. Deduplicate the participants across those matches
+    const encounters = collectEncounters(matches, puuid);
+
+    // 5. Get details for each participant (gameName, tagLine, profileIcon)
+    const participants = await mapWithConcurrency(encounters, LOOKUP_CONCURRENCY, async (encounter) => {
+        const pPuuid = encounter.puuid;
+        // Get Summoner data for profile icon
+        const summonerResponse = await cachedFetch(`https://${platform}/lol/summoner/v4/summoners/by-puuid/${pPuuid}`, 'summoner');
+        let profileIconId = '0'; // Default icon
+        if (summonerResponse.ok) {
+            const summonerData = await summonerResponse.json();
+            profileIconId = summonerData.profileIconId;
+        }
+
+        // Get Account data for Riot ID
+        const pAccountResponse = await cachedFetch(`https://${regional}/riot/account/v1/accounts/by-puuid/${pPuuid}`, 'account');
+        let pGameName = 'Unknown';
+        let pTagLine = 'ERROR';
+        if (pAccountResponse.ok) {
+            const pAccountData = await pAccountResponse.json();
+            pGameName = pAccountData.gameName;
+            pTagLine = pAccountData.tagLine;
+        }
+
+        return {
+            gameName: pGameName,
+            tagLine: pTagLine,
+            region: region, // Assume all players are from the same region as the user
+            puuid: pPuuid,
+            profileIconUrl: `https://ddragon.leagueoflegends.com/cdn/${getPatchVersion()}/img/profileicon/${profileIconId}.png`,
+            fromCache: summonerResponse.fromCache && pAccountResponse.fromCache,
+            encounters: encounter.encounters,
+            allyCount: encounter.allyCount,
+            enemyCount: encounter.enemyCount,
+            relation: encounter.relation,
+            lastSeen: encounter.lastSeen,
+            champions: encounter.champions,
+            match: encounter.match // Most recent match we shared
+        };
+    });
+
+    return { participants };
+}
+// ---------------------
+
+module.exports = {
+    MAX_GAME_COUNT,
+    parseGameCount,
+    getQuotaCost,
+    getLastGameParticipants,
+};
@@ -0,0 +1,245 @@
+/*
+* ======================================
+* FILE: lib/mock-riot.js
+* ======================================
+* Offline stand-in for the Riot API and Data Dragon, turned on with
+* RIOT_MOCK=1. riot-client.js and champions.js use mockFetch instead of
+* node-fetch, so every handler runs unchanged against local fixtures and
+* no RIOT_API_KEY or network connection is needed.
+*
+* Fixtures (RIOT_MOCK_DIR, default ./fixtures):
+*   players.json           { players: [{ gameName, tagLine, puuid, profileIconId,
+*                            summonerLevel, league: [...], mastery: [...] }] }
+*   matches/<matchId>.json match-v5 payloads (the match list is built from these)
+*   live-games/<id>.json   spectator-v5 payloads (a player is in game if listed)
+*   ddragon/versions.json, ddragon/champion.json
+*   faults.json            { faults: [{ match, status, retryAfter, rateLimitType, times }] }
+*
+* Region is ignored: every platform and routing host serves the same players.
+* Timestamps are relative so the fixtures never go stale: a match with
+* `mock.endedMinutesAgo` is shifted to have ended that long ago, and a live
+* game with `mock.startedSecondsAgo` started that long ago (0 = still in the
+* loading screen, which RIOT_MOCK_GAME_STARTED_AGO overrides for every game).
+* A fault answers every request whose URL contains `match` with `status`
+* (plus Retry-After / X-Rate-Limit-Type on a 429), for the first `times`
+* requests or forever.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const { Response } = require('node-fetch');
+
+// --- CONFIGURATION ---
+const RIOT_MOCK = ['1', 'true', 'on'].includes(String(process.env.RIOT_MOCK || '').toLowerCase());
+const MOCK_DIR = process.env.RIOT_MOCK_DIR || path.join(__dirname, '..', 'fixtures');
+const MOCK_LATENCY_MS = Number(process.env.RIOT_MOCK_LATENCY_MS) || 0; // Added to every response, to see loading states
+// Sent as X-App-Rate-Limit; generous by default so the rate limiter doesn't slow local runs
+const MOCK_APP_RATE_LIMIT = process.env.RIOT_MOCK_RATE_LIMIT || '500:10,30000:600';
+const GAME_STARTED_AGO_OVERRIDE = process.env.RIOT_MOCK_GAME_STARTED_AGO;
+const MINUTE = 60 * 1000;
+// ---------------------
+
+// --- FIXTURES ---
+// Loaded once, on the first mocked request
+let fixtures = null;
+// Active faults with how many times each has fired; null = use faults.json
+let faultState = null;
+
+const readJson = (file, fallback) => {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(MOCK_DIR, file), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`[Mock] Failed to read fixture ${file}:`, error);
+        return fallback;
+    }
+}
+
+const readJsonDir = (dir) => {
+    let files = [];
+    try {
+        files = fs.readdirSync(path.join(MOCK_DIR, dir)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+        return [];
+    }
+    return files.map(file => readJson(path.join(dir, file), null)).filter(Boolean);
+}
+
+const loadFixtures = () => {
+    if (fixtures) return fixtures;
+    fixtures = {
+        players: readJson('players.json', { players: [] }).players,
+        matches: readJsonDir('matches'),
+        liveGames: readJsonDir('live-games'),
+        versions: readJson(path.join('ddragon', 'versions.json'), null),
+        champions: readJson(path.join('ddragon', 'champion.json'), null),
+    };
+    console.log(`[Mock] Loaded ${fixtures.players.length} players, ${fixtures.matches.length} matches and ${fixtures.liveGames.length} live games from ${MOCK_DIR}`);
+    return fixtures;
+}
+
+const getFaults = () => {
+    if (!faultState) setMockFaults(readJson('faults.json', { faults: [] }).faults);
+    return faultState;
+}
+
+// Replaces the active faults (e.g. from a test). Pass null to go back to faults.json.
+const setMockFaults = (faults) => {
+    faultState = faults ? faults.map(fault => ({ ...fault, fired: 0 })) : null;
+}
+// ---------------------
+
+// --- RELATIVE TIMES ---
+// Copy of a match-v5 payload moved in time to match `mock.endedMinutesAgo`
+const toServedMatch = (match) => {
+    const { mock, ...served } = JSON.parse(JSON.stringify(match));
+    if (mock && mock.endedMinutesAgo !== undefined && served.info.gameEndTimestamp) {
+        const shift = Date.now() - mock.endedMinutesAgo * MINUTE - served.info.gameEndTimestamp;
+        for (const field of ['gameCreation', 'gameStartTimestamp', 'gameEndTimestamp']) {
+            if (served.info[field]) served.info[field] += shift;
+        }
+    }
+    return served;
+}
+
+// Copy of a spectator-v5 payload that started `mock.startedSecondsAgo` ago
+const toServedLiveGame = (game) => {
+    const { mock, ...served } = JSON.parse(JSON.stringify(game));
+    let startedAgo = mock ? mock.startedSecondsAgo : undefined;
+    if (GAME_STARTED_AGO_OVERRIDE !== undefined && GAME_STARTED_AGO_OVERRIDE !== '') startedAgo = Number(GAME_STARTED_AGO_OVERRIDE);
+    if (startedAgo !== undefined) {
+        served.gameStartTime = startedAgo > 0 ? Date.now() - startedAgo * 1000 : 0;
+        served.gameLength = startedAgo > 0 ? startedAgo : 0;
+    }
+    return served;
+}
+// ---------------------
+
+// --- RESPONSES ---
+const respond = (status, body, headers = {}) => {
+    return new Response(body === undefined ? '' : JSON.stringify(body), {
+        status: status,
+        headers: { 'Content-Type': 'application/json', 'X-App-Rate-Limit': MOCK_APP_RATE_LIMIT, ...headers },
+    });
+}
+
+// Same body shape as Riot's error responses
+const respondError = (status, message, headers) => respond(status, { status: { message: message, status_code: status } }, headers);
+
+const notFound = (what) => respondError(404, `Data not found - ${what}`);
+
+const respondFault = (fault) => {
+    const headers = {};
+    if (fault.status === 429) {
+        if (fault.retryAfter !== undefined) headers['Retry-After'] = String(fault.retryAfter);
+        headers['X-Rate-Limit-Type'] = fault.rateLimitType || 'application';
+    }
+    const message = fault.message || (fault.status === 429 ? 'Rate limit exceeded' : `Mock fault ${fault.status}`);
+    return respondError(fault.status, message, headers);
+}
+
+const findFault = (url) => {
+    const fault = getFaults().find(f => url.includes(f.match) && (f.times === undefined || f.fired < f.times));
+    if (fault) fault.fired++;
+    return fault;
+}
+// ---------------------
+
+// --- ROUTES ---
+const findPlayer = (puuid) => loadFixtures().players.find(p => p.puuid === puuid);
+
+const toAccount = (player) => ({ puuid: player.puuid, gameName: player.gameName, tagLine: player.tagLine });
+
+// The same filters match-v5 applies: queue, type (ranked only), start, count
+const getMatchIds = (puuid, query) => {
+    const queue = query.get('queue');
+    const rankedOnly = query.get('type') === 'ranked';
+    const start = Number(query.get('start')) || 0;
+    const count = Number(query.get('count')) || 20;
+    return loadFixtures().matches
+        .map(toServedMatch)
+        .filter(m => m.info.participants.some(p => p.puuid === puuid))
+        .filter(m => !queue || m.info.queueId === Number(queue))
+        .filter(m => !rankedOnly || [420, 440].includes(m.info.queueId))
+        .sort((a, b) => b.info.gameStartTimestamp - a.info.gameStartTimestamp)
+        .slice(start, start + count)
+        .map(m => m.metadata.matchId);
+}
+
+// [pattern, handler(params, query)]; patterns match the decoded URL path
+const RIOT_ROUTES = [
+    [/^\/riot\/account\/v1\/accounts\/by-riot-id\/([^/]+)\/([^/]+)$/, ([gameName, tagLine]) => {
+        const player = loadFixtures().players.find(p => p.gameName.toLowerCase() === gameName.toLowerCase() && p.tagLine.toLowerCase() === tagLine.toLowerCase());
+        return player ? respond(200, toAccount(player)) : notFound(`No results found for player with riot id ${gameName}#${tagLine}`);
+    }],
+    [/^\/riot\/account\/v1\/accounts\/by-puuid\/([^/]+)$/, ([puuid]) => {
+        const player = findPlayer(puuid);
+        return player ? respond(200, toAccount(player)) : notFound(`No results found for player with puuid ${puuid}`);
+    }],
+    [/^\/lol\/summoner\/v4\/summoners\/by-puuid\/([^/]+)$/, ([puuid]) => {
+        const player = findPlayer(puuid);
+        if (!player) return notFound('summoner not found');
+        return respond(200, { puuid: player.puuid, profileIconId: player.profileIconId, summonerLevel: player.summonerLevel, revisionDate: Date.now() });
+    }],
+    [/^\/lol\/spectator\/v5\/active-games\/by-summoner\/([^/]+)$/, ([puuid]) => {
+        const game = loadFixtures().liveGames.find(g => g.participants.some(p => p.puuid === puuid));
+        return game ? respond(200, toServedLiveGame(game)) : notFound('spectator game info isn\'t found');
+    }],
+    [/^\/lol\/match\/v5\/matches\/by-puuid\/([^/]+)\/ids$/, ([puuid], query) => respond(200, getMatchIds(puuid, query))],
+    [/^\/lol\/match\/v5\/matches\/([^/]+)$/, ([matchId]) => {
+        const match = loadFixtures().matches.find(m => m.metadata.matchId === matchId);
+        return match ? respond(200, toServedMatch(match)) : notFound('match file not found');
+    }],
+    [/^\/lol\/league\/v4\/entries\/by-puuid\/([^/]+)$/, ([puuid]) => {
+        const player = findPlayer(puuid);
+        return player ? respond(200, player.league || []) : notFound('summoner not found');
+    }],
+    [/^\/lol\/champion-mastery\/v4\/champion-masteries\/by-puuid\/([^/]+)\/by-champion\/([^/]+)$/, ([puuid, championId]) => {
+        const player = findPlayer(puuid);
+        const mastery = player && (player.mastery || []).find(m => m.championId === Number(championId));
+        return mastery ? respond(200, { puuid: puuid, ...mastery }) : notFound('No masteries found for given player id and champion id');
+    }],
+];
+
+const DDRAGON_ROUTES = [
+    [/^\/api\/versions\.json$/, () => {
+        const { versions } = loadFixtures();
+        return versions ? respond(200, versions) : notFound('versions.json fixture missing');
+    }],
+    [/^\/cdn\/[^/]+\/data\/en_US\/champion\.json$/, () => {
+        const { champions } = loadFixtures();
+        return champions ? respond(200, champions) : notFound('champion.json fixture missing');
+    }],
+];
+
+const route = (routes, pathname, query) => {
+    for (const [pattern, handler] of routes) {
+        const match = pattern.exec(pathname);
+        if (match) return handler(match.slice(1).map(decodeURIComponent), query);
+    }
+    return notFound(`no mock route for ${pathname}`);
+}
+// ---------------------
+
+// --- THE MOCK FETCH ---
+// Drop-in replacement for node-fetch (GET only)
+const mockFetch = async (url) => {
+    if (MOCK_LATENCY_MS > 0) await new Promise(res => setTimeout(res, MOCK_LATENCY_MS));
+
+    const fault = findFault(url);
+    if (fault) {
+        console.log(`[Mock] Fault ${fault.status} for ${url}`);
+        return respondFault(fault);
+    }
+
+    const { host, pathname, searchParams } = new URL(url);
+    if (host === 'ddragon.leagueoflegends.com') return route(DDRAGON_ROUTES, pathname, searchParams);
+    if (host.endsWith('.api.riotgames.com')) return route(RIOT_ROUTES, pathname, searchParams);
+    return notFound(`no mock for host ${host}`);
+}
+// ---------------------
+
+module.exports = {
+    RIOT_MOCK,
+    mockFetch,
+    setMockFaults,
+};
@@ -0,0 +1,250 @@
+/*
+* ======================================
+* FILE: lib/player-status.js
+* ======================================
+* The full status check for one player (live game or last match, risk
+* score and watchlist), moved out of check-status.js so other handlers
+* can look a player up by PUUID as well as by Riot ID.
+*/
+
+const { getPlatformUrl, getRegionalUrl } = require('./riot-client');
+const { cachedFetch } = require('./cache');
+const { resolveRiskConfig, getGameEnd, getGameDurationSeconds, scoreRisk } = require('./risk');
+const { normalizeQueue, getQueueQuery, getQueueLabel } = require('./queues');
+const { getPatchVersion, getChampionImageKey, convertBanIdsToImageKeys } = require('./champions');
+const { getGameWatchlist, summarizeWatchlistHistory } = require('./watchlist');
+const { enrichTeams } = require('./ranks');
+const { estimateGameEnd } = require('./eta');
+const { createError, errorFromResponse, errorFromException, toPlayerError } = require('./errors');
+
+// --- CONFIGURATION ---
+// Riot calls for one player by PUUID on top of one per recent match:
+// summoner, live game and match list
+const STATUS_LOOKUPS = 3;
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const formatTimeAgo = (minutes) => {
+    if (minutes === 0) return 'Just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    const days = Math.floor(hours / 24);
+    return `${days}d ago`;
+};
+
+const processMatchData = (matchData, puuid) => {
+    if (!matchData || !matchData.info) return null;
+    const info = matchData.info;
+    let trackedPlayerStats = null;
+    let win = false;
+    const team1BanIds = [];
+    const team2BanIds = [];
+    const team1 = [];
+    const team2 = [];
+    info.teams[0].bans.forEach(ban => team1BanIds.push(ban.championId));
+    info.teams[1].bans.forEach(ban => team2BanIds.push(ban.championId));
+    for (const p of info.participants) {
+        const participant = {
+            gameName: p.riotIdGameName,
+            tagLine: `#${p.riotIdTagline}`,
+            puuid: p.puuid,
+            championId: p.championId,
+            championPlayed: getChampionImageKey(p.championId, p.championName)
+        };
+        if (p.teamId === 100) team1.push(participant);
+        else team2.push(participant);
+        if (p.puuid === puuid) {
+            trackedPlayerStats = {
+                championPlayed: getChampionImageKey(p.championId, p.championName),
+                kda: `${p.kills}/${p.deaths}/${p.assists}`,
+                kills: p.kills,
+                deaths: p.deaths,
+                assists: p.assists,
+                cs: (p.totalMinionsKilled || 0) + (p.neutralMinionsKilled || 0),
+                role: p.teamPosition || p.individualPosition || 'NONE',
+                remake: !!p.gameEndedInEarlySurrender,
+                win: p.win
+            };
+            win = p.win;
+        }
+    }
+    const team1Bans = convertBanIdsToImageKeys(team1BanIds);
+    const team2Bans = convertBanIdsToImageKeys(team2BanIds);
+    return {
+        matchId: matchData.metadata ? matchData.metadata.matchId : null,
+        win: win,
+        championPlayed: trackedPlayerStats ? trackedPlayerStats.championPlayed : 'Unknown',
+        kda: trackedPlayerStats ? trackedPlayerStats.kda : 'N/A',
+        stats: trackedPlayerStats, // Raw numbers for the tracked player (null if they're not in the match)
+        gameStart: info.gameStartTimestamp,
+        gameEnd: getGameEnd(info),
+        durationSeconds: getGameDurationSeconds(info),
+        ...getQueueLabel(info.queueId, info.mapId),
+        team1Bans: team1Bans, 
+        team2Bans: team2Bans,
+        team1: team1,
+        team2: team2,
+    };
+}
+
+// cachedFetch that also records in `fromCache` which lookups (account, summoner, ...) were cache hits
+const createLookup = (fromCache) => async (url, kind) => {
+    const response = await cachedFetch(url, kind);
+    // A kind only counts as cached if every lookup of that kind was
+    fromCache[kind] = fromCache[kind] === undefined ? response.fromCache : fromCache[kind] && response.fromCache;
+    return response;
+}
+// ---------------------
+
+// --- PLAYER STATUS ---
+// `watchlist` is the parsed champion watchlist (see lib/watchlist.js).
+// options.fromCache is filled in with which lookups (account, summoner, ...) were cache hits.
+// options.riskConfig is the resolved risk scoring config (see lib/risk.js).
+// options.queue filters match history (see lib/queues.js).
+// options.enrich adds rank and mastery to the participants (see lib/ranks.js); off by default.
+// options.history is filled in with the PUUID and the team they were on in each recent match (see lib/premades.js).
+// Failures come back as an ERROR status with a code (see lib/errors.js).
+const getPlayerStatusByPuuid = async (region, puuid, watchlist, options = {}) => {
+    const { fromCache = {}, riskConfig = resolveRiskConfig(), queue, enrich = false, history = {} } = options;
+    const platform = getPlatformUrl(region); 
+    const regional = getRegionalUrl(region); 
+    if (!platform) return toPlayerError(createError('INVALID_REGION', `Unknown Region '${region}'`));
+    const lookup = createLookup(fromCache);
+    const summonerResponse = await lookup(`https://${platform}/lol/summoner/v4/summoners/by-puuid/${puuid}`, 'summoner');
+    if (!summonerResponse.ok) return toPlayerError(errorFromResponse(summonerResponse, 'PLAYER_NOT_FOUND', 'Summoner Not Found'));
+    const summonerData = await summonerResponse.json();
+    const profileIconUrl = `https://ddragon.leagueoflegends.com/cdn/${getPatchVersion()}/img/profileicon/${summonerData.profileIconId}.png`;
+    const spectatorURL = `https://${platform}/lol/spectator/v5/active-games/by-summoner/${puuid}`;
+    const liveGameResponse = await lookup(spectatorURL, 'spectator');
+    // 404 just means "not in a game"; anything else means we can't tell
+    if (!liveGameResponse.ok && liveGameResponse.status !== 404) return { ...toPlayerError(errorFromResponse(liveGameResponse)), profileIconUrl };
+
+    // Recent history feeds the risk score and the watchlist ban/pick stats,
+    // so we need it for in-game players too.
+    const matchListResponse = await lookup(`https://${regional}/lol/match/v5/matches/by-puuid/${puuid}/ids?count=${riskConfig.matchCount}${getQueueQuery(queue)}`, 'matchList');
+    if (!matchListResponse.ok && matchListResponse.status !== 404) return { ...toPlayerError(errorFromResponse(matchListResponse)), profileIconUrl };
+    const matchList = matchListResponse.ok ? await matchListResponse.json() : [];
+    let matchError = null; // First failed match lookup, reported if it leaves us without a last match
+    const recentMatches = await Promise.all(matchList.map(async (matchId) => {
+        const matchDataResponse = await lookup(`https://${regional}/lol/match/v5/matches/${matchId}`, 'match');
+        if (!matchDataResponse.ok && !matchError) matchError = errorFromResponse(matchDataResponse, 'NOT_FOUND', 'Match History Error');
+        return matchDataResponse.ok ? await matchDataResponse.json() : null;
+    }));
+    const watchlistHistory = summarizeWatchlistHistory(watchlist, recentMatches, puuid);
+    history.puuid = puuid;
+    history.matches = recentMatches.filter(m => m && m.info).map(m => {
+        const me = m.info.participants.find(p => p.puuid === puuid);
+        return { matchId: m.metadata.matchId, teamId: me ? me.teamId : null };
+    }).filter(m => m.teamId !== null);
+    
+    if (liveGameResponse.ok) {
+        const liveGameData = await liveGameResponse.json();
+        const gameStartTime = liveGameData.gameStartTime;
+        // gameStartTime is 0 until the loading screen is over
+        const elapsedSeconds = gameStartTime > 0 ? Math.floor((Date.now() - gameStartTime) / 1000) : 0;
+        const blueBanIds = liveGameData.bannedChampions.filter(b => b.teamId === 100).map(b => b.championId);
+        const redBanIds = liveGameData.bannedChampions.filter(b => b.teamId === 200).map(b => b.championId);
+        const liveGameDetails = {
+            gameId: liveGameData.gameId,
+            gameStartTime: gameStartTime,
+            eta: estimateGameEnd(gameStartTime, liveGameData.gameQueueConfigId, recentMatches),
+            team1Bans: convertBanIdsToImageKeys(blueBanIds),
+            team2Bans: convertBanIdsToImageKeys(redBanIds),
+            ...getQueueLabel(liveGameData.gameQueueConfigId, liveGameData.mapId),
+            team1: liveGameData.participants.filter(p => p.teamId === 100).map(p => ({ gameName: p.riotId.split('#')[0], tagLine: `#${p.riotId.split('#')[1]}`, puuid: p.puuid, championId: p.championId, championPlayed: getChampionImageKey(p.championId) })),
+            team2: liveGameData.participants.filter(p => p.teamId === 200).map(p => ({ gameName: p.riotId.split('#')[0], tagLine: `#${p.riotId.split('#')[1]}`, puuid: p.puuid, championId: p.championId, championPlayed: getChampionImageKey(p.championId) }))
+        };
+        const gameWatchlist = getGameWatchlist(watchlist, liveGameDetails);
+        return {
+            status: 'IN_GAME',
+            statusMessage: `IN GAME (${Math.floor(elapsedSeconds / 60)}:${String(elapsedSeconds % 60).padStart(2, '0')})`,
+            isChampBanned: gameWatchlist.some(w => w.banned),
+            watchlist: gameWatchlist,
+            watchlistHistory: watchlistHistory,
+            profileIconUrl: profileIconUrl,
+            liveGameDetails: enrich ? await enrichTeams(region, liveGameDetails) : liveGameDetails
+        };
+    }
+    
+    if (matchList.length === 0) {
+        return { status: 'LOW_RISK', statusMessage: queue && normalizeQueue(queue) !== 'any' ? 'No recent games in this queue' : 'No recent games', isChampBanned: null, watchlist: null, watchlistHistory: watchlistHistory, profileIconUrl: profileIconUrl, risk: null };
+    }
+    const finalMatchData = recentMatches[0];
+    if (!finalMatchData || !finalMatchData.info) {
+        return { ...toPlayerError(matchError || createError('NOT_FOUND', 'Match History Error')), isChampBanned: null, profileIconUrl: profileIconUrl };
+    }
+    const gameEndTimestamp = getGameEnd(finalMatchData.info); 
+    let minutesAgo = 0; 
+    if (gameEndTimestamp && typeof gameEndTimestamp === 'number' && gameEndTimestamp > 0) {
+        minutesAgo = Math.max(0, Math.floor((Date.now() - gameEndTimestamp) / 60000));
+    }
+    let fullMatchDetails = processMatchData(finalMatchData, puuid); 
+    if (enrich) fullMatchDetails = await enrichTeams(region, fullMatchDetails);
+    const gameWatchlist = getGameWatchlist(watchlist, fullMatchDetails);
+    const formattedTime = formatTimeAgo(minutesAgo);
+    const risk = scoreRisk(recentMatches, puuid, riskConfig);
+    
+    if (risk.level === 'HIGH_RISK') {
+         return {
+            status: 'HIGH_RISK',
+            statusMessage: `HIGH RISK ${risk.score} (${formattedTime})`, 
+            isChampBanned: gameWatchlist.some(w => w.banned),
+            watchlist: gameWatchlist,
+            watchlistHistory: watchlistHistory,
+            profileIconUrl: profileIconUrl,
+            lastMatchDetails: fullMatchDetails,
+            risk: risk
+        };
+    }
+    return {
+        status: 'LOW_RISK',
+        statusMessage: `LOW RISK ${risk.score} (${formattedTime})`,
+        isChampBanned: gameWatchlist.some(w => w.banned),
+        watchlist: gameWatchlist,
+        watchlistHistory: watchlistHistory,
+        profileIconUrl: profileIconUrl,
+        lastMatchDetails: fullMatchDetails,
+        risk: risk
+    };
+}
+
+// Same as getPlayerStatusByPuuid, starting from a Riot ID
+const getPlayerStatus = async (region, gameName, tagLine, watchlist, options = {}) => {
+    const { fromCache = {} } = options;
+    const regional = getRegionalUrl(region); 
+    if (!regional) return { ...toPlayerError(createError('INVALID_REGION', `Unknown Region '${region}'`)), id: `${region}-${gameName}-${tagLine}` };
+    const accountResponse = await createLookup(fromCache)(`https://${regional}/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(gameName)}/${encodeURIComponent(tagLine)}`, 'account');
+    if (!accountResponse.ok) {
+        return { ...toPlayerError(errorFromResponse(accountResponse)), id: `${region}-${gameName}-${tagLine}` };
+    }
+    const accountData = await accountResponse.json();
+    return getPlayerStatusByPuuid(region, accountData.puuid, watchlist, { ...options, fromCache });
+}
+
+// Returns a worker for mapWithConcurrency over [{ id, gameName, tagLine, region }].
+// One player failing must not take down the whole check, so errors become an ERROR status for that row.
+// Each player's recent match teams are collected in `histories` for premade detection.
+const checkPlayer = (watchlist, checkOptions, histories = []) => async (player) => {
+    console.log(`[Server] Checking ${player.gameName}#${player.tagLine} on ${player.region}...`);
+    const fromCache = {};
+    const history = { id: player.id };
+    histories.push(history);
+    try {
+        const status = await getPlayerStatus(player.region, player.gameName, player.tagLine, watchlist, { ...checkOptions, fromCache, history });
+        return { ...status, id: player.id, fromCache };
+    } catch (error) {
+        console.error(`[Server] Error checking ${player.gameName}#${player.tagLine}:`, error);
+        return { ...toPlayerError(errorFromException(error)), id: player.id, fromCache };
+    }
+}
+// ---------------------
+
+module.exports = {
+    STATUS_LOOKUPS,
+    formatTimeAgo,
+    processMatchData,
+    getPlayerStatusByPuuid,
+    getPlayerStatus,
+    checkPlayer,
+};
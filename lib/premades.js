@@ -0,0 +1,98 @@
+/*
+* ======================================
+* FILE: lib/premades.js
+* ======================================
+* Duo / premade detection. Players that keep showing up on the same team
+* in each other's recent matches most likely queued together.
+*/
+
+// --- CONFIGURATION ---
+const MIN_SHARED_MATCHES = 2; // Same team this often before we call it a duo (once is random)
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Matches both players were in on the same team
+const countSharedMatches = (a, b) => {
+    const teamsA = new Map(a.matches.map(m => [m.matchId, m.teamId]));
+    return b.matches.filter(m => teamsA.has(m.matchId) && teamsA.get(m.matchId) === m.teamId).length;
+}
+
+// Matches every member of a group was in, all on the same team
+const countGroupMatches = (members) => {
+    const [first, ...rest] = members;
+    return first.matches.filter(m => rest.every(other =>
+        other.matches.some(o => o.matchId === m.matchId && o.teamId === m.teamId)
+    )).length;
+}
+// ---------------------
+
+// --- DETECTION ---
+// `histories` is [{ id, matches: [{ matchId, teamId }] }], one per checked player.
+// Players without an id can't be told apart in a group, so they're left out.
+// Returns groups where every two players are linked, each player in at most
+// one group, with how sure we are (share of their recent games played
+// together) and the pairs behind the links.
+const detectPremades = (histories) => {
+    const players = histories.filter(h => h && h.id !== undefined && h.id !== null && h.id !== '' && h.matches && h.matches.length > 0);
+
+    const pairs = [];
+    for (let i = 0; i < players.length; i++) {
+        for (let j = i + 1; j < players.length; j++) {
+            const shared = countSharedMatches(players[i], players[j]);
+            if (shared < MIN_SHARED_MATCHES) continue;
+            pairs.push({
+                playerIds: [players[i].id, players[j].id],
+                sharedMatches: shared,
+                confidence: round2(shared / Math.min(players[i].matches.length, players[j].matches.length)),
+            });
+        }
+    }
+
+    // Strongest links first. A player joins a group only if they're linked
+    // to everyone in it and the whole group still shares enough games, so
+    // A-B and B-C alone don't make A and C a premade.
+    pairs.sort((a, b) => b.sharedMatches - a.sharedMatches || b.confidence - a.confidence);
+    const isLinked = (a, b) => pairs.some(p => p.playerIds.includes(a) && p.playerIds.includes(b));
+    const groupOf = new Map(); // player id -> group
+    const groups = [];
+    pairs.forEach(({ playerIds: [a, b] }) => {
+        const groupA = groupOf.get(a);
+        const groupB = groupOf.get(b);
+        if (groupA && groupB) return; // Already placed (together, or in different groups)
+        if (!groupA && !groupB) {
+            const group = new Set([a, b]);
+            groups.push(group);
+            groupOf.set(a, group).set(b, group);
+            return;
+        }
+        const group = groupA || groupB;
+        const newcomer = groupA ? b : a;
+        if (![...group].every(id => isLinked(id, newcomer))) return;
+        const members = players.filter(p => group.has(p.id) || p.id === newcomer);
+        if (countGroupMatches(members) < MIN_SHARED_MATCHES) return;
+        group.add(newcomer);
+        groupOf.set(newcomer, group);
+    });
+
+    return groups.map((group, index) => {
+        const playerIds = [...group];
+        // Only the links inside the group back it up
+        const groupPairs = pairs.filter(p => p.playerIds.every(id => group.has(id)));
+        return {
+            id: `premade-${index + 1}`,
+            type: playerIds.length === 2 ? 'duo' : 'premade',
+            playerIds: playerIds,
+            sharedMatches: countGroupMatches(players.filter(p => group.has(p.id))),
+            confidence: round2(groupPairs.reduce((sum, p) => sum + p.confidence, 0) / groupPairs.length),
+            pairs: groupPairs,
+        };
+    }).sort((a, b) => b.confidence - a.confidence);
+}
+// ---------------------
+
+module.exports = {
+    MIN_SHARED_MATCHES,
+    detectPremades,
+};
@@ -0,0 +1,86 @@
+/*
+* ======================================
+* FILE: lib/queues.js
+* ======================================
+* Queue and map lookups. Turns the `queue` option sent by the UI into
+* match-v5 history filters, and queue/map IDs into readable labels for
+* matches and live games.
+*/
+
+// --- QUEUE FILTERS ---
+// `queue` option -> match-v5 ids query parameters
+const QUEUE_FILTERS = {
+    any: {},
+    ranked: { type: 'ranked' },
+    ranked_solo: { queue: 420 },
+    ranked_flex: { queue: 440 },
+    normal_draft: { queue: 400 },
+    normal_blind: { queue: 430 },
+    quickplay: { queue: 490 },
+    aram: { queue: 450 },
+};
+const DEFAULT_QUEUE = 'any';
+// ---------------------
+
+// --- LABELS ---
+const QUEUE_NAMES = {
+    0: 'Custom',
+    400: 'Normal Draft',
+    420: 'Ranked Solo/Duo',
+    430: 'Normal Blind',
+    440: 'Ranked Flex',
+    450: 'ARAM',
+    490: 'Quickplay',
+    700: 'Clash',
+    720: 'ARAM Clash',
+    830: 'Co-op vs AI', 840: 'Co-op vs AI', 850: 'Co-op vs AI',
+    870: 'Co-op vs AI', 880: 'Co-op vs AI', 890: 'Co-op vs AI',
+    900: 'ARURF',
+    1020: 'One for All',
+    1300: 'Nexus Blitz',
+    1700: 'Arena',
+    1900: 'URF',
+    2000: 'Tutorial', 2010: 'Tutorial', 2020: 'Tutorial',
+};
+
+const MAP_NAMES = {
+    11: "Summoner's Rift",
+    12: 'Howling Abyss',
+    21: 'Nexus Blitz',
+    30: 'Rings of Wrath',
+};
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const isValidQueue = (queue) => {
+    return queue === undefined || queue === null || queue === '' || Object.prototype.hasOwnProperty.call(QUEUE_FILTERS, String(queue).toLowerCase());
+}
+
+const normalizeQueue = (queue) => {
+    return isValidQueue(queue) && queue ? String(queue).toLowerCase() : DEFAULT_QUEUE;
+}
+
+// Extra query string for /lol/match/v5/matches/by-puuid/{puuid}/ids, e.g. '&queue=420'
+const getQueueQuery = (queue) => {
+    const filter = QUEUE_FILTERS[normalizeQueue(queue)];
+    return Object.keys(filter).map(key => `&${key}=${filter[key]}`).join('');
+}
+
+const getQueueLabel = (queueId, mapId) => {
+    return {
+        queueId: queueId,
+        queueName: QUEUE_NAMES[queueId] || (queueId !== undefined ? `Queue ${queueId}` : 'Unknown Queue'),
+        mapId: mapId,
+        mapName: MAP_NAMES[mapId] || (mapId !== undefined ? `Map ${mapId}` : 'Unknown Map'),
+    };
+}
+// ---------------------
+
+module.exports = {
+    QUEUE_FILTERS,
+    DEFAULT_QUEUE,
+    isValidQueue,
+    normalizeQueue,
+    getQueueQuery,
+    getQueueLabel,
+};
@@ -0,0 +1,99 @@
+/*
+* ======================================
+* FILE: lib/radar.js
+* ======================================
+* The radar's "lighter" check: only whether each target is in a game right
+* now (one cached spectator lookup each). Moved out of
+* check-radar-players-status.js so the CLI can poll the same way.
+*/
+
+const { getPlatformUrl, suggestPollInterval } = require('./riot-client');
+const { cachedFetch, CACHE_TTLS } = require('./cache');
+const { estimateGameEnd } = require('./eta');
+const { createError, errorFromResponse, errorFromException, toPlayerError } = require('./errors');
+
+// --- CONFIGURATION ---
+// Polling faster than the spectator cache TTL would only return cached results
+const MIN_POLL_INTERVAL_MS = CACHE_TTLS.spectator;
+// ---------------------
+
+// --- VALIDATION ---
+// A radar target needs a PUUID and a region (an unknown region is a per-player error)
+const isValidRadarPlayer = (player) => {
+    return Boolean(player) && typeof player.puuid === 'string' && player.puuid !== ''
+        && typeof player.region === 'string' && player.region !== '';
+}
+// ---------------------
+
+// --- POLLING ---
+// Suggested wait (ms) before the next radar poll, for the auto-track mode.
+// Players can be on different platforms, so take the slowest one.
+const getSuggestedPollInterval = (players) => {
+    const perPlatform = {};
+    for (const player of players) {
+        const platform = getPlatformUrl(player.region);
+        if (platform) perPlatform[platform] = (perPlatform[platform] || 0) + 1;
+    }
+    let interval = MIN_POLL_INTERVAL_MS;
+    for (const platform in perPlatform) {
+        const sampleUrl = `https://${platform}/lol/spectator/v5/active-games/by-summoner/puuid`;
+        interval = Math.max(interval, suggestPollInterval(sampleUrl, perPlatform[platform]));
+    }
+    return interval;
+}
+// ---------------------
+
+// --- THE CHECK ---
+// players: [{ puuid, region }], checked with isValidRadarPlayer first. One status per player, in order:
+// IN_GAME (with gameStartTime and eta), NOT_IN_GAME or an ERROR.
+const checkRadarPlayers = async (players) => {
+    const statuses = [];
+
+    for (const player of players) {
+        const platform = getPlatformUrl(player.region);
+        if (!platform) {
+            statuses.push({ puuid: player.puuid, ...toPlayerError(createError('INVALID_REGION', `Unknown Region '${player.region}'`)) });
+            continue; // Skip if region is invalid
+        }
+
+        const spectatorURL = `https://${platform}/lol/spectator/v5/active-games/by-summoner/${encodeURIComponent(player.puuid)}`;
+        let liveGameResponse;
+        try {
+            liveGameResponse = await cachedFetch(spectatorURL, 'spectator');
+        } catch (error) {
+            // e.g. a network failure; the other players can still be checked
+            console.error(`[Server] Radar check failed for ${player.puuid}:`, error);
+            statuses.push({ puuid: player.puuid, ...toPlayerError(errorFromException(error)) });
+            continue;
+        }
+
+        if (liveGameResponse.ok) {
+            // Player is in a game. No match history here, so the ETA
+            // only uses the queue's average game length.
+            const liveGameData = await liveGameResponse.json();
+            statuses.push({
+                puuid: player.puuid,
+                status: 'IN_GAME',
+                gameId: liveGameData.gameId,
+                gameStartTime: liveGameData.gameStartTime,
+                eta: estimateGameEnd(liveGameData.gameStartTime, liveGameData.gameQueueConfigId),
+                fromCache: liveGameResponse.fromCache
+            });
+        } else if (liveGameResponse.status === 404) {
+            // Player is not in a game
+            statuses.push({ puuid: player.puuid, status: 'NOT_IN_GAME', fromCache: liveGameResponse.fromCache });
+        } else {
+            // Key error, 403, or 429 after the client ran out of retries
+            statuses.push({ puuid: player.puuid, ...toPlayerError(errorFromResponse(liveGameResponse)) });
+        }
+    }
+
+    return statuses;
+}
+// ---------------------
+
+module.exports = {
+    isValidRadarPlayer,
+    getSuggestedPollInterval,
+    checkRadarPlayers,
+};
@@ -0,0 +1,115 @@
+/*
+* ======================================
+* FILE: lib/ranks.js
+* ======================================
+* Rank (league-v4) and champion mastery (champion-mastery-v4) for the
+* participants of a live game or match. Lookups go through the cache
+* (per PUUID) and the same PUUID is only fetched once at a time.
+* That's 2 calls per participant, so it is only done on request: when
+* the frontend opens a lobby (api/get-participant-ranks.js), or when a
+* check asks for it with { enrich: true }.
+*/
+
+const { getPlatformUrl } = require('./riot-client');
+const { cachedFetch } = require('./cache');
+const { mapWithConcurrency } = require('./concurrency');
+
+// --- CONFIGURATION ---
+const ENRICH_CONCURRENCY = 4; // Participants looked up at once
+const QUEUE_TYPES = {
+    RANKED_SOLO_5x5: 'solo',
+    RANKED_FLEX_SR: 'flex',
+};
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+// url -> Promise of the parsed result, while a lookup is running. Two
+// lobbies checked at once often share players (duos, same game).
+const inFlight = new Map();
+
+const fetchOnce = (url, kind, parse) => {
+    if (!inFlight.has(url)) {
+        const promise = cachedFetch(url, kind)
+            .then(parse)
+            .finally(() => inFlight.delete(url));
+        inFlight.set(url, promise);
+    }
+    return inFlight.get(url);
+}
+
+const toRankEntry = (entry) => {
+    const games = entry.wins + entry.losses;
+    return {
+        tier: entry.tier,
+        division: entry.rank,
+        lp: entry.leaguePoints,
+        wins: entry.wins,
+        losses: entry.losses,
+        winRate: games > 0 ? Math.round((entry.wins / games) * 100) : null,
+    };
+}
+// ---------------------
+
+// --- LOOKUPS ---
+// { solo, flex } (each null when unranked in that queue), or null if the lookup failed
+const getRank = (platform, puuid) => {
+    const url = `https://${platform}/lol/league/v4/entries/by-puuid/${puuid}`;
+    return fetchOnce(url, 'league', async (response) => {
+        if (!response.ok) return null;
+        const entries = await response.json();
+        const rank = { solo: null, flex: null };
+        for (const entry of entries) {
+            const queue = QUEUE_TYPES[entry.queueType];
+            if (queue) rank[queue] = toRankEntry(entry);
+        }
+        return rank;
+    });
+}
+
+// { championId, level, points } (level 0 if never played), or null if the lookup failed
+const getMastery = (platform, puuid, championId) => {
+    const url = `https://${platform}/lol/champion-mastery/v4/champion-masteries/by-puuid/${puuid}/by-champion/${championId}`;
+    return fetchOnce(url, 'mastery', async (response) => {
+        if (response.status === 404) return { championId: championId, level: 0, points: 0 };
+        if (!response.ok) return null;
+        const mastery = await response.json();
+        return { championId: championId, level: mastery.championLevel, points: mastery.championPoints };
+    });
+}
+
+// Adds `rank` and `mastery` to each participant, in order. Participants
+// need `puuid` and `championId`; the ones without (bots) get nulls.
+const enrichParticipants = (region, participants) => {
+    const platform = getPlatformUrl(region);
+    const enrich = async (participant) => {
+        if (!platform || !participant.puuid) return { ...participant, rank: null, mastery: null };
+        try {
+            const [rank, mastery] = await Promise.all([
+                getRank(platform, participant.puuid),
+                participant.championId ? getMastery(platform, participant.puuid, participant.championId) : null,
+            ]);
+            return { ...participant, rank, mastery };
+        } catch (error) {
+            console.error(`[Ranks] Failed to enrich ${participant.gameName}${participant.tagLine}:`, error);
+            return { ...participant, rank: null, mastery: null };
+        }
+    };
+    return mapWithConcurrency(participants, ENRICH_CONCURRENCY, enrich);
+}
+
+// Same for both teams of a live game or match
+const enrichTeams = async (region, details) => {
+    const [team1, team2] = await Promise.all([
+        enrichParticipants(region, details.team1 || []),
+        enrichParticipants(region, details.team2 || []),
+    ]);
+    return { ...details, team1, team2 };
+}
+// ---------------------
+
+module.exports = {
+    getRank,
+    getMastery,
+    enrichParticipants,
+    enrichTeams,
+};
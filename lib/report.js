@@ -0,0 +1,135 @@
+/*
+* ======================================
+* FILE: lib/report.js
+* ======================================
+* Scouting report: recent form over a player's last N matches (record,
+* streak, KDA, CS/min, champions, roles and how often they play).
+* Works on the output of processMatchData (lib/player-status.js).
+*/
+
+const { REMAKE_SECONDS } = require('./risk');
+
+// --- CONFIGURATION ---
+const DEFAULT_REPORT_COUNT = 10;
+const MAX_REPORT_COUNT = 20;
+const TOP_CHAMPIONS = 5;
+const FIXED_LOOKUPS = 3; // Account, summoner and match list, on top of one lookup per match
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+// null when the count is out of range
+const parseReportCount = (count) => {
+    if (count === undefined || count === null || count === '') return DEFAULT_REPORT_COUNT;
+    const number = Number(count);
+    return Number.isInteger(number) && number >= 1 && number <= MAX_REPORT_COUNT ? number : null;
+}
+
+// Quota units (lib/guard.js) a report for `body.count` matches costs.
+// An invalid count is rejected later, so it's charged like the default.
+const getQuotaCost = (body) => {
+    const count = parseReportCount(body ? body.count : undefined);
+    return (count || DEFAULT_REPORT_COUNT) + FIXED_LOOKUPS;
+}
+
+const round = (value, digits = 1) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+
+const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+// W/L streak from the newest game back. Remakes don't break or extend it.
+const getStreak = (games) => {
+    let result = null;
+    let count = 0;
+    for (const game of games) {
+        if (game.remake) continue;
+        const gameResult = game.win ? 'W' : 'L';
+        if (result !== null && gameResult !== result) break;
+        result = gameResult;
+        count++;
+    }
+    return result ? { result, count } : null;
+}
+
+// Groups games by a field, most played first, with wins and win rate
+const countBy = (games, field) => {
+    const groups = {};
+    for (const game of games) {
+        const key = game[field];
+        if (!groups[key]) groups[key] = { games: 0, wins: 0 };
+        groups[key].games++;
+        if (game.win) groups[key].wins++;
+    }
+    return Object.keys(groups)
+        .map(key => ({ [field]: key, ...groups[key], winRate: Math.round((groups[key].wins / groups[key].games) * 100) }))
+        .sort((a, b) => b.games - a.games || b.wins - a.wins);
+}
+// ---------------------
+
+// --- REPORT ---
+// `matches` are processMatchData results (any order, nulls allowed)
+const buildPlayerReport = (matches) => {
+    const games = matches
+        .filter(m => m && m.stats)
+        .map(m => ({
+            matchId: m.matchId,
+            queueName: m.queueName,
+            champion: m.championPlayed,
+            role: m.stats.role,
+            win: !!m.win,
+            remake: m.stats.remake || m.durationSeconds < REMAKE_SECONDS,
+            kills: m.stats.kills,
+            deaths: m.stats.deaths,
+            assists: m.stats.assists,
+            kda: m.kda,
+            cs: m.stats.cs,
+            durationSeconds: m.durationSeconds,
+            gameStart: m.gameStart,
+            gameEnd: m.gameEnd,
+        }))
+        .sort((a, b) => b.gameEnd - a.gameEnd);
+
+    const played = games.filter(g => !g.remake);
+    const wins = played.filter(g => g.win).length;
+    const totals = played.reduce((sum, g) => ({
+        kills: sum.kills + g.kills,
+        deaths: sum.deaths + g.deaths,
+        assists: sum.assists + g.assists,
+        cs: sum.cs + g.cs,
+        minutes: sum.minutes + g.durationSeconds / 60,
+    }), { kills: 0, deaths: 0, assists: 0, cs: 0, minutes: 0 });
+
+    // Gap between one game's end and the next one's start, newest first
+    const gaps = [];
+    for (let i = 0; i < games.length - 1; i++) {
+        gaps.push(Math.max(0, (games[i].gameStart - games[i + 1].gameEnd) / 60000));
+    }
+    const avgGap = average(gaps);
+
+    return {
+        games: games.length,
+        wins: wins,
+        losses: played.length - wins,
+        remakes: games.length - played.length,
+        winRate: played.length > 0 ? Math.round((wins / played.length) * 100) : null,
+        streak: getStreak(games),
+        avgKda: played.length > 0 ? {
+            kills: round(totals.kills / played.length),
+            deaths: round(totals.deaths / played.length),
+            assists: round(totals.assists / played.length),
+            ratio: round((totals.kills + totals.assists) / Math.max(1, totals.deaths), 2),
+        } : null,
+        csPerMin: totals.minutes > 0 ? round(totals.cs / totals.minutes) : null,
+        topChampions: countBy(played, 'champion').slice(0, TOP_CHAMPIONS),
+        roles: countBy(played, 'role'),
+        avgMinutesBetweenGames: avgGap === null ? null : Math.round(avgGap),
+        matches: games,
+    };
+}
+// ---------------------
+
+module.exports = {
+    DEFAULT_REPORT_COUNT,
+    MAX_REPORT_COUNT,
+    parseReportCount,
+    getQuotaCost,
+    buildPlayerReport,
+};
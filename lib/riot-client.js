@@ -0,0 +1,231 @@
+/*
+* ======================================
+* FILE: lib/riot-client.js
+* ======================================
+* Shared Riot API client used by every handler in /api.
+* Tracks the app and method rate limits per routing host (from the
+* X-App-Rate-Limit / X-Method-Rate-Limit headers), queues calls so we
+* stay under them and honors Retry-After on 429s.
+*/
+
+const { RIOT_MOCK, mockFetch } = require('./mock-riot');
+const fetch = RIOT_MOCK ? mockFetch : require('node-fetch');
+
+// --- CONFIGURATION ---
+// Mock mode (see lib/mock-riot.js) serves fixtures, so it doesn't need a real key
+const RIOT_API_KEY = process.env.RIOT_API_KEY || (RIOT_MOCK ? 'mock-key' : undefined);
+const MAX_RETRIES = 3; // Retries on 429 before giving up
+const DEFAULT_RETRY_AFTER_SECONDS = 1; // Used when a 429 has no Retry-After header
+// Development key limits, used until the API tells us the real ones
+const DEFAULT_APP_RATE_LIMIT = '20:1,100:120';
+// ---------------------
+
+// --- RATE LIMIT STATE ---
+// One entry per routing host (e.g. 'euw1.api.riotgames.com').
+// Each host has its app buckets, and a bucket list and a FIFO queue per method.
+const hosts = {};
+// ---------------------
+
+// --- ROUTING HELPERS ---
+const delay = ms => new Promise(res => setTimeout(res, ms));
+
+const getPlatformUrl = (region) => {
+    const platforms = {
+        'BR1': 'br1.api.riotgames.com', 'EUN1': 'eun1.api.riotgames.com',
+        'EUW1': 'euw1.api.riotgames.com', 'JP1': 'jp1.api.riotgames.com',
+        'KR': 'kr.api.riotgames.com', 'LA1': 'la1.api.riotgames.com',
+        'LA2': 'la2.api.riotgames.com', 'NA1': 'na1.api.riotgames.com',
+        'OC1': 'oc1.api.riotgames.com', 'TR1': 'tr1.api.riotgames.com',
+        'RU': 'ru.api.riotgames.com', 'PH2': 'ph2.api.riotgames.com',
+        'SG2': 'sg2.api.riotgames.com', 'TH2': 'th2.api.riotgames.com',
+        'TW2': 'tw2.api.riotgames.com', 'VN2': 'vn2.api.riotgames.com',
+    };
+    return platforms[String(region || '').toUpperCase()];
+}
+
+const getRegionalUrl = (region) => {
+    const regionMap = {
+        'BR1': 'americas.api.riotgames.com', 'LA1': 'americas.api.riotgames.com', 'LA2': 'americas.api.riotgames.com', 'NA1': 'americas.api.riotgames.com',
+        'EUN1': 'europe.api.riotgames.com', 'EUW1': 'europe.api.riotgames.com', 'TR1': 'europe.api.riotgames.com', 'RU': 'europe.api.riotgames.com',
+        'JP1': 'asia.api.riotgames.com', 'KR': 'asia.api.riotgames.com', 'PH2': 'asia.api.riotgames.com', 'SG2': 'asia.api.riotgames.com', 'TH2': 'asia.api.riotgames.com', 'TW2': 'asia.api.riotgames.com', 'VN2': 'asia.api.riotgames.com',
+    };
+    return regionMap[String(region || '').toUpperCase()];
+}
+// ---------------------
+
+// --- RATE LIMIT HELPERS ---
+
+// Static path segments of the endpoints we call. Anything else in a path
+// (Riot IDs, PUUIDs, match IDs) is a parameter, so it is folded into '{}'
+// to get one method bucket per endpoint.
+const STATIC_PATH_SEGMENTS = new Set([
+    'riot', 'account', 'accounts', 'by-riot-id', 'by-puuid',
+    'lol', 'summoner', 'summoners', 'spectator', 'active-games', 'by-summoner',
+    'match', 'matches', 'ids',
+    'league', 'entries', 'champion-mastery', 'champion-masteries', 'by-champion',
+]);
+
+const getMethodKey = (pathname) => {
+    return pathname.split('/').map(segment => {
+        if (segment === '' || /^v\d+$/.test(segment) || STATIC_PATH_SEGMENTS.has(segment)) return segment;
+        return '{}';
+    }).join('/');
+}
+
+// Parses '20:1,100:120' into buckets of { limit, windowMs, timestamps }
+const parseRateLimitHeader = (header) => {
+    if (!header) return null;
+    const buckets = header.split(',').map(part => {
+        const [limit, seconds] = part.split(':').map(Number);
+        return { limit, windowMs: seconds * 1000, timestamps: [] };
+    }).filter(b => b.limit > 0 && b.windowMs > 0);
+    return buckets.length > 0 ? buckets : null;
+}
+
+// Replaces the limits of a bucket list but keeps the request history,
+// so calls made before the headers arrived still count.
+const updateBuckets = (currentBuckets, header) => {
+    const parsed = parseRateLimitHeader(header);
+    if (!parsed) return currentBuckets;
+    // Every bucket records every call, so the one with the longest window has the full history
+    const longest = currentBuckets.reduce((a, b) => (!a || b.windowMs > a.windowMs ? b : a), null);
+    const history = longest ? longest.timestamps : [];
+    for (const bucket of parsed) {
+        bucket.timestamps = history.filter(t => t > Date.now() - bucket.windowMs);
+    }
+    return parsed;
+}
+
+const getHostState = (host) => {
+    if (!hosts[host]) {
+        hosts[host] = {
+            appBuckets: parseRateLimitHeader(DEFAULT_APP_RATE_LIMIT),
+            methodBuckets: {},
+            blockedUntil: 0, // Set from Retry-After on an application/service 429
+            methodBlockedUntil: {},
+            queues: {}, // methodKey -> tail of that method's queue
+        };
+    }
+    return hosts[host];
+}
+
+// How long (ms) until a request fits in every bucket. 0 means "go now".
+const getWaitTime = (buckets, now) => {
+    let wait = 0;
+    for (const bucket of buckets) {
+        bucket.timestamps = bucket.timestamps.filter(t => t > now - bucket.windowMs);
+        if (bucket.timestamps.length >= bucket.limit) {
+            const oldest = bucket.timestamps[bucket.timestamps.length - bucket.limit];
+            wait = Math.max(wait, oldest + bucket.windowMs - now);
+        }
+    }
+    return wait;
+}
+
+// Waits (in FIFO order per host and method) until the app and method limits
+// allow another call, then records it. Only sleeps when a limit requires it.
+// One queue per method, so a method waiting out its own limit doesn't hold up
+// the others; the shared app buckets are checked and recorded in the same
+// synchronous step as the method's, so no two queues can take the same slot.
+const acquireSlot = (host, methodKey) => {
+    const state = getHostState(host);
+    const queue = state.queues[methodKey] || Promise.resolve();
+    const slot = queue.then(async () => {
+        while (true) {
+            const now = Date.now();
+            const methodBuckets = state.methodBuckets[methodKey] || [];
+            const wait = Math.max(
+                state.blockedUntil - now,
+                (state.methodBlockedUntil[methodKey] || 0) - now,
+                getWaitTime(state.appBuckets, now),
+                getWaitTime(methodBuckets, now)
+            );
+            if (wait <= 0) {
+                state.appBuckets.forEach(b => b.timestamps.push(now));
+                methodBuckets.forEach(b => b.timestamps.push(now));
+                return;
+            }
+            console.log(`[Rate Limit] Waiting ${wait}ms for ${host}${methodKey}`);
+            await delay(wait);
+        }
+    });
+    // Keep the queue alive even if a waiter throws
+    state.queues[methodKey] = slot.catch(() => {});
+    return slot;
+}
+
+const recordRateLimitHeaders = (host, methodKey, headers) => {
+    const state = getHostState(host);
+    state.appBuckets = updateBuckets(state.appBuckets, headers.get('x-app-rate-limit'));
+    state.methodBuckets[methodKey] = updateBuckets(state.methodBuckets[methodKey] || [], headers.get('x-method-rate-limit'));
+}
+
+const getRetryAfterMs = (headers, attempt) => {
+    const retryAfter = Number(headers.get('retry-after'));
+    if (retryAfter > 0) return retryAfter * 1000;
+    // No header (usually an underlying service limit): back off exponentially
+    return DEFAULT_RETRY_AFTER_SECONDS * 1000 * Math.pow(2, attempt);
+}
+// ---------------------
+
+// --- POLLING ---
+// How long (ms) a caller should wait between polling cycles that each make
+// `callsPerCycle` calls like `url`, so that polling alone stays within the
+// app and method limits we've seen for that host (plus any active Retry-After).
+const suggestPollInterval = (url, callsPerCycle) => {
+    const { host, pathname } = new URL(url);
+    const state = getHostState(host);
+    const methodBuckets = state.methodBuckets[getMethodKey(pathname)] || [];
+    let interval = 0;
+    for (const bucket of [...state.appBuckets, ...methodBuckets]) {
+        interval = Math.max(interval, Math.ceil(callsPerCycle * bucket.windowMs / bucket.limit));
+    }
+    const blockedFor = Math.max(state.blockedUntil, state.methodBlockedUntil[getMethodKey(pathname)] || 0) - Date.now();
+    return Math.max(interval, blockedFor, 0);
+}
+// ---------------------
+
+// --- THE CLIENT ---
+const authenticatedFetch = async (url) => {
+    if (!RIOT_API_KEY) {
+        console.error("[Server Error] RIOT_API_KEY environment variable is not set.");
+        return { ok: false, status: 500, statusText: 'Server Configuration Error' };
+    }
+
+    const { host, pathname } = new URL(url);
+    const methodKey = getMethodKey(pathname);
+
+    for (let attempt = 0; ; attempt++) {
+        await acquireSlot(host, methodKey);
+        const response = await fetch(url, { headers: { "X-Riot-Token": RIOT_API_KEY } });
+        console.log(`[API Response] Status: ${response.status} for URL: ${url}`);
+        recordRateLimitHeaders(host, methodKey, response.headers);
+
+        if (response.status !== 429 || attempt >= MAX_RETRIES) {
+            return response;
+        }
+
+        const retryAfterMs = getRetryAfterMs(response.headers, attempt);
+        const state = getHostState(host);
+        if (response.headers.get('x-rate-limit-type') === 'method') {
+            state.methodBlockedUntil[methodKey] = Date.now() + retryAfterMs;
+        } else {
+            state.blockedUntil = Date.now() + retryAfterMs;
+        }
+        console.warn(`[Rate Limit] 429 from ${host}${methodKey}, retrying in ${retryAfterMs}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+    }
+};
+// ---------------------
+
+module.exports = {
+    RIOT_API_KEY,
+    delay,
+    getPlatformUrl,
+    getRegionalUrl,
+    authenticatedFetch,
+    suggestPollInterval,
+    // Rate limit bookkeeping, exported for the tests
+    parseRateLimitHeader,
+    updateBuckets,
+    getWaitTime,
+};
@@ -0,0 +1,199 @@
+/*
+* ======================================
+* FILE: lib/risk.js
+* ======================================
+* Dodge risk scoring. Looks at a player's last N matches and weighs
+* several factors (recency, loss streak, session length, remakes and
+* recent KDA) into a 0-100 score with a per-factor breakdown.
+* Weights and thresholds can be overridden per request.
+*/
+
+// --- CONFIGURATION ---
+// Games shorter than this are remakes. Shared with the report and the ETA.
+const REMAKE_SECONDS = 300;
+const DEFAULT_RISK_CONFIG = {
+    matchCount: 5, // How many recent matches to look at
+    weights: {
+        recency: 0.4,
+        lossStreak: 0.25,
+        sessionGames: 0.15,
+        remake: 0.1,
+        performance: 0.1,
+    },
+    thresholds: {
+        highRisk: 40,          // Score (0-100) at or above which a player is HIGH_RISK
+        freshMinutes: 15,      // Last game ended this recently = full recency risk
+        staleMinutes: 90,      // ...fading out to no recency risk here
+        lossStreakMax: 3,      // Losses in a row for full loss streak risk
+        sessionGapMinutes: 60, // Max gap between games to count as the same session
+        sessionGamesMax: 5,    // Games in a session for full session risk
+        remakeSeconds: REMAKE_SECONDS, // Games shorter than this count as remakes
+        kdaBad: 1.5,           // Average KDA at or below this = full performance risk
+        kdaGood: 3.5,          // ...fading out to no performance risk here
+    },
+};
+const MAX_MATCH_COUNT = 10;
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+const toNumber = (value, fallback) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// Merges a (possibly partial, untrusted) config from the request body into the defaults.
+// Anything that isn't an object (null, a string...) counts as no overrides.
+const resolveRiskConfig = (riskConfig) => {
+    const overrides = riskConfig && typeof riskConfig === 'object' ? riskConfig : {};
+    const weights = {};
+    const thresholds = {};
+    for (const key in DEFAULT_RISK_CONFIG.weights) {
+        weights[key] = toNumber(Object(overrides.weights)[key], DEFAULT_RISK_CONFIG.weights[key]);
+    }
+    for (const key in DEFAULT_RISK_CONFIG.thresholds) {
+        thresholds[key] = toNumber(Object(overrides.thresholds)[key], DEFAULT_RISK_CONFIG.thresholds[key]);
+    }
+    const matchCount = Math.min(Math.max(Math.floor(toNumber(overrides.matchCount, DEFAULT_RISK_CONFIG.matchCount)), 1), MAX_MATCH_COUNT);
+    return { matchCount, weights, thresholds };
+}
+
+// Older matches don't have gameEndTimestamp; there gameDuration is in ms
+const getGameEnd = (info) => {
+    if (info.gameEndTimestamp) return info.gameEndTimestamp;
+    return info.gameStartTimestamp + (info.gameDuration || 0);
+}
+
+const getGameDurationSeconds = (info) => {
+    return info.gameEndTimestamp ? info.gameDuration : Math.floor((info.gameDuration || 0) / 1000);
+}
+
+const formatMinutes = (minutes) => {
+    if (minutes < 60) return `${minutes}m`;
+    if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h`;
+    return `${Math.floor(minutes / (24 * 60))}d`;
+}
+// ---------------------
+
+// --- FACTORS ---
+// Each factor returns { value, score (0-1), reason }
+
+const recencyFactor = (games, t) => {
+    const minutesAgo = Math.max(0, Math.floor((Date.now() - games[0].end) / 60000));
+    const score = minutesAgo <= t.freshMinutes ? 1 : clamp01((t.staleMinutes - minutesAgo) / ((t.staleMinutes - t.freshMinutes) || 1));
+    return { value: minutesAgo, score, reason: `Last game ended ${formatMinutes(minutesAgo)} ago` };
+}
+
+const lossStreakFactor = (games, t) => {
+    let streak = 0;
+    for (const game of games) {
+        if (game.remake) continue; // Remakes don't break or extend a streak
+        if (game.win) break;
+        streak++;
+    }
+    return { value: streak, score: clamp01(streak / (t.lossStreakMax || 1)), reason: `${streak} loss${streak === 1 ? '' : 'es'} in a row` };
+}
+
+const sessionGamesFactor = (games, t) => {
+    const gapMs = t.sessionGapMinutes * 60000;
+    let count = 0;
+    if (Date.now() - games[0].end <= gapMs) {
+        count = 1;
+        for (let i = 1; i < games.length; i++) {
+            if (games[i - 1].start - games[i].end > gapMs) break;
+            count++;
+        }
+    }
+    return { value: count, score: clamp01(count / (t.sessionGamesMax || 1)), reason: `${count} game${count === 1 ? '' : 's'} this session` };
+}
+
+const remakeFactor = (games) => {
+    if (games[0].remake) {
+        return { value: true, score: 1, reason: 'Last game was a remake' };
+    }
+    const recentRemake = games.slice(0, 3).some(g => g.remake);
+    return { value: recentRemake, score: recentRemake ? 0.5 : 0, reason: recentRemake ? 'Remake in the last 3 games' : 'No recent remakes' };
+}
+
+const performanceFactor = (games, t) => {
+    const played = games.filter(g => !g.remake);
+    if (played.length === 0) {
+        return { value: null, score: 0, reason: 'No completed games' };
+    }
+    const avgKda = played.reduce((sum, g) => sum + g.kdaRatio, 0) / played.length;
+    const score = clamp01((t.kdaGood - avgKda) / ((t.kdaGood - t.kdaBad) || 1));
+    return { value: Math.round(avgKda * 100) / 100, score, reason: `Avg KDA ${avgKda.toFixed(2)} over ${played.length} game${played.length === 1 ? '' : 's'}` };
+}
+
+const FACTORS = {
+    recency: recencyFactor,
+    lossStreak: lossStreakFactor,
+    sessionGames: sessionGamesFactor,
+    remake: remakeFactor,
+    performance: performanceFactor,
+};
+// ---------------------
+
+// --- SCORING ---
+// Reduces raw match-v5 payloads to what the factors need, newest first
+const summarizeGames = (matches, puuid, t) => {
+    return matches
+        .filter(m => m && m.info)
+        .map(m => {
+            const p = m.info.participants.find(p => p.puuid === puuid) || {};
+            return {
+                start: m.info.gameStartTimestamp,
+                end: getGameEnd(m.info),
+                win: !!p.win,
+                remake: !!p.gameEndedInEarlySurrender || getGameDurationSeconds(m.info) < t.remakeSeconds,
+                kdaRatio: ((p.kills || 0) + (p.assists || 0)) / Math.max(1, p.deaths || 0),
+            };
+        })
+        .sort((a, b) => b.end - a.end);
+}
+
+// Returns { score, threshold, level, factors } or null if there are no matches
+const scoreRisk = (matches, puuid, config = resolveRiskConfig()) => {
+    const games = summarizeGames(matches, puuid, config.thresholds);
+    if (games.length === 0) return null;
+
+    const totalWeight = Object.values(config.weights).reduce((sum, w) => sum + w, 0) || 1;
+    const factors = Object.keys(FACTORS).map(name => {
+        const result = FACTORS[name](games, config.thresholds);
+        const weight = config.weights[name];
+        return {
+            name,
+            value: result.value,
+            score: Math.round(result.score * 100) / 100,
+            weight,
+            contribution: Math.round((result.score * weight / totalWeight) * 1000) / 10, // Points out of 100
+            reason: result.reason,
+        };
+    });
+
+    const score = Math.round(factors.reduce((sum, f) => sum + f.contribution, 0));
+    return {
+        score,
+        threshold: config.thresholds.highRisk,
+        level: score >= config.thresholds.highRisk ? 'HIGH_RISK' : 'LOW_RISK',
+        gamesAnalyzed: games.length,
+        factors,
+    };
+}
+
+// Lobby verdict from a set of player statuses: anyone in game or HIGH_RISK means dodge
+const getLobbyVerdict = (statuses) => {
+    return statuses.some(s => s.status === 'HIGH_RISK' || s.status === 'IN_GAME') ? 'DODGE' : 'SAFE';
+}
+// ---------------------
+
+module.exports = {
+    REMAKE_SECONDS,
+    DEFAULT_RISK_CONFIG,
+    resolveRiskConfig,
+    getGameEnd,
+    getGameDurationSeconds,
+    scoreRisk,
+    getLobbyVerdict,
+};
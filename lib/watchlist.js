@@ -0,0 +1,145 @@
+/*
+* ======================================
+* FILE: lib/watchlist.js
+* ======================================
+* Champion watchlist. For each watched champion: was it banned or picked
+* in a given game, and how often did the lobby players ban or pick it
+* across their recent matches.
+*/
+
+const { getChampionKey, getChampionImageKey, resolveChampion, isChampionDataLoaded } = require('./champions');
+const { createError } = require('./errors');
+
+// --- CONFIGURATION ---
+const DEFAULT_WATCHLIST = ['Katarina'];
+const MAX_WATCHLIST = 10;
+// ---------------------
+
+// --- HELPER FUNCTIONS ---
+const sameChampion = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const toRate = (count, total) => total > 0 ? Math.round((count / total) * 100) / 100 : 0;
+
+// Reads `champsToTrack` (array) or the older `champToTrack` (string, may be
+// comma separated) from a request body. Returns [{ champion, key }], with
+// nicknames and typos resolved (see resolveChampion). Names that match no
+// champion come back as { champion, key: null, suggestions }; check them
+// with getWatchlistError before using the list.
+const parseWatchlist = (body = {}) => {
+    let names = [];
+    if (Array.isArray(body.champsToTrack)) {
+        names = body.champsToTrack;
+    } else if (typeof body.champToTrack === 'string') {
+        names = body.champToTrack.split(',');
+    }
+    names = names.filter(n => typeof n === 'string').map(n => n.trim()).filter(Boolean);
+    if (names.length === 0) names = DEFAULT_WATCHLIST;
+
+    const watchlist = [];
+    for (const name of names) {
+        let entry;
+        if (!isChampionDataLoaded()) {
+            // Without Data Dragon we can't tell a typo from a real name, so trust the input
+            entry = { champion: name, key: getChampionKey(name) };
+        } else {
+            const { champion, suggestions } = resolveChampion(name);
+            entry = champion ? { champion: champion.name, key: champion.id } : { champion: name, key: null, suggestions };
+        }
+        if (entry.key === null || !watchlist.some(w => sameChampion(w.key, entry.key))) {
+            watchlist.push(entry);
+        }
+    }
+    return watchlist.slice(0, MAX_WATCHLIST);
+}
+
+// UNKNOWN_CHAMPION error for the names parseWatchlist couldn't resolve, or null
+const getWatchlistError = (watchlist) => {
+    const unknown = watchlist.filter(w => w.key === null);
+    if (unknown.length === 0) return null;
+    const described = unknown.map(w => {
+        const hint = w.suggestions.length > 0 ? ` (did you mean ${w.suggestions.join(', ')}?)` : '';
+        return `'${w.champion}'${hint}`;
+    });
+    return createError('UNKNOWN_CHAMPION', `Unknown champion ${described.join('; ')}.`);
+}
+// ---------------------
+
+// --- SINGLE GAME ---
+// `details` is a processed live game or match (team1Bans / team2Bans / team1 / team2)
+const getGameWatchlist = (watchlist, details) => {
+    const participants = [
+        ...(details.team1 || []).map(p => ({ ...p, side: 'blue' })),
+        ...(details.team2 || []).map(p => ({ ...p, side: 'red' })),
+    ];
+    return watchlist.map(w => {
+        let bannedSide = null;
+        if ((details.team1Bans || []).some(ban => sameChampion(ban, w.key))) bannedSide = 'blue';
+        else if ((details.team2Bans || []).some(ban => sameChampion(ban, w.key))) bannedSide = 'red';
+        const picker = participants.find(p => sameChampion(p.championPlayed, w.key));
+        return {
+            champion: w.champion,
+            key: w.key,
+            banned: bannedSide !== null,
+            bannedSide: bannedSide,
+            picked: !!picker,
+            pickedSide: picker ? picker.side : null,
+            pickedBy: picker ? `${picker.gameName}${picker.tagLine}` : null,
+        };
+    });
+}
+// ---------------------
+
+// --- HISTORY ---
+// How often one player banned / picked each watched champion in their recent
+// matches (raw match-v5 payloads). A ban is credited to the player whose
+// participantId matches the ban's pickTurn.
+const summarizeWatchlistHistory = (watchlist, matches, puuid) => {
+    const games = matches.filter(m => m && m.info);
+    return watchlist.map(w => {
+        let banned = 0;
+        let bannedInGame = 0;
+        let picked = 0;
+        for (const match of games) {
+            const me = match.info.participants.find(p => p.puuid === puuid);
+            const bans = match.info.teams.reduce((all, team) => all.concat(team.bans || []), []);
+            const watchedBans = bans.filter(ban => sameChampion(getChampionImageKey(ban.championId, null), w.key));
+            if (watchedBans.length > 0) bannedInGame++;
+            if (me && watchedBans.some(ban => ban.pickTurn === me.participantId)) banned++;
+            if (me && sameChampion(getChampionImageKey(me.championId, me.championName), w.key)) picked++;
+        }
+        return { champion: w.champion, key: w.key, games: games.length, banned, bannedInGame, picked };
+    });
+}
+
+// Adds up every player's history into lobby-wide counts and rates
+const mergeWatchlistHistory = (watchlist, histories) => {
+    return watchlist.map(w => {
+        const totals = { games: 0, banned: 0, bannedInGame: 0, picked: 0 };
+        for (const history of histories) {
+            const entry = (history || []).find(h => sameChampion(h.key, w.key));
+            if (!entry) continue;
+            totals.games += entry.games;
+            totals.banned += entry.banned;
+            totals.bannedInGame += entry.bannedInGame;
+            totals.picked += entry.picked;
+        }
+        return {
+            champion: w.champion,
+            key: w.key,
+            ...totals,
+            banRate: toRate(totals.banned, totals.games),
+            bannedInGameRate: toRate(totals.bannedInGame, totals.games),
+            pickRate: toRate(totals.picked, totals.games),
+        };
+    });
+}
+// ---------------------
+
+module.exports = {
+    DEFAULT_WATCHLIST,
+    parseWatchlist,
+    getWatchlistError,
+    getGameWatchlist,
+    summarizeWatchlistHistory,
+    mergeWatchlistHistory,
+};
@@ -0,0 +1,333 @@
+/*
+* ======================================
+* FILE: lib/webhooks.js
+* ======================================
+* Optional outbound notifications when a checked player's verdict changes
+* (e.g. LOW_RISK -> HIGH_RISK, or into / out of a game). Off unless
+* WEBHOOK_URLS is set. Each URL gets Discord, Slack or generic JSON payloads.
+*
+* The last status per player is kept per source ('check' or 'radar') in a
+* store of its own (WEBHOOK_STORE), apart from the Riot API cache, so a
+* transition needs a previous check: the first time we see a player nothing
+* is sent. Every transition is sent once per game / match and webhook
+* (see getTransitionId), so two tabs seeing the same change don't notify
+* twice. Failed deliveries are retried with backoff, and if they still fail
+* the player's last status is put back, so the next check finds the same
+* change and tries again.
+* A check waits at most WEBHOOK_BUDGET_MS for the deliveries, so a slow
+* receiver can't hold up its response.
+*/
+
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch'); // Real fetch even with RIOT_MOCK, so a local stub receiver works
+const { delay } = require('./riot-client');
+const { createMemoryStore, createFileStore } = require('./cache');
+
+// --- CONFIGURATION ---
+// Comma-separated. Each entry is a URL, optionally prefixed with its format:
+// 'https://discord.com/api/webhooks/...,slack=https://example.com/hook,http://localhost:4001'.
+// Without a prefix Discord and Slack URLs are recognized by host, anything else gets generic JSON.
+const WEBHOOK_URLS = process.env.WEBHOOK_URLS || '';
+const WEBHOOK_FORMATS = ['generic', 'discord', 'slack'];
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 3000; // Per attempt
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_MS = 500;       // Doubles after every failed attempt
+const MAX_RETRY_AFTER_MS = 10000; // Longest Retry-After we wait out before giving up
+// Longest a check waits for its deliveries before answering anyway. Unfinished ones
+// keep going in the background (as long as the function instance is kept alive).
+const WEBHOOK_BUDGET_MS = Number(process.env.WEBHOOK_BUDGET_MS) || 2000;
+// Where the last statuses and sent transitions live: 'memory' (per warm instance) or 'file'
+const WEBHOOK_STORE = (process.env.WEBHOOK_STORE || 'memory').toLowerCase();
+const WEBHOOK_STATE_DIR = process.env.WEBHOOK_STATE_DIR || path.join(os.tmpdir(), 'dodge-tool-webhooks');
+const MAX_STATE_ENTRIES = 50000; // Memory store only; two entries per watched player
+const MINUTE = 60 * 1000;
+const STATE_TTLS = {
+    state: 24 * 60 * MINUTE, // Last status per player, to spot verdict changes
+    sent: 12 * 60 * MINUTE,  // Transitions already delivered, per webhook
+};
+// Statuses worth a notification when a player goes into or out of them
+const NOTIFY_STATUSES = new Set(['HIGH_RISK', 'IN_GAME']);
+const BOT_NAME = 'Dodge Tool';
+// Same colors as the status classes in index.html
+const STATUS_COLORS = { IN_GAME: 0x007BFF, HIGH_RISK: 0xE53E3E, LOW_RISK: 0x22C55E, NOT_IN_GAME: 0x888888 };
+// ---------------------
+
+// --- TARGETS ---
+const detectFormat = (url) => {
+    const { host, pathname } = new URL(url);
+    if (/(^|\.)discord(app)?\.com$/.test(host) && pathname.startsWith('/api/webhooks/')) return 'discord';
+    if (host === 'hooks.slack.com') return 'slack';
+    return 'generic';
+}
+
+// [{ url, format }]; entries that aren't valid URLs are logged and skipped
+const parseWebhookTargets = (value = WEBHOOK_URLS) => {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const prefix = /^(\w+)=(.+)$/.exec(entry);
+        const format = prefix && WEBHOOK_FORMATS.includes(prefix[1].toLowerCase()) ? prefix[1].toLowerCase() : null;
+        const url = format ? prefix[2] : entry;
+        try {
+            return { url, format: format || detectFormat(url) };
+        } catch (error) {
+            console.error(`[Webhook] Ignoring invalid webhook URL '${entry}'`);
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+let targets = parseWebhookTargets();
+
+// Replace the configured targets (e.g. a local stub receiver). Pass a WEBHOOK_URLS-style string.
+const setWebhookTargets = (value) => {
+    targets = parseWebhookTargets(value);
+}
+// ---------------------
+
+// --- STATE STORE ---
+// Same store interface as lib/cache.js, but never shared with (or evicted by) cached Riot data
+const createDefaultStore = () => {
+    if (WEBHOOK_STORE === 'file') return createFileStore(WEBHOOK_STATE_DIR);
+    return createMemoryStore(MAX_STATE_ENTRIES);
+}
+
+let stateStore = createDefaultStore();
+
+// Swap the state store (e.g. a fresh memory store per test)
+const setWebhookStore = (newStore) => {
+    stateStore = newStore;
+}
+
+const getState = async (kind, key) => {
+    const entry = await stateStore.get(`${kind}:${key}`);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+        await stateStore.delete(`${kind}:${key}`);
+        return undefined;
+    }
+    return entry.value;
+}
+
+const setState = async (kind, key, value) => {
+    await stateStore.set(`${kind}:${key}`, { value, expiresAt: Date.now() + STATE_TTLS[kind] });
+}
+// ---------------------
+
+// --- TRANSITIONS ---
+const getPlayerKey = (source, player) => {
+    if (source === 'radar') return `${String(player.region).toUpperCase()}:${player.puuid}`;
+    return `${String(player.region).toUpperCase()}:${player.gameName}#${player.tagLine}`.toLowerCase();
+}
+
+// What the status is about: the live game, or the last finished match
+const getStatusAnchor = (status) => {
+    if (status.status === 'IN_GAME') return String(status.gameId || (status.liveGameDetails && status.liveGameDetails.gameId) || '');
+    return status.lastMatchDetails && status.lastMatchDetails.matchId ? status.lastMatchDetails.matchId : '';
+}
+
+// Same player reaching the same status for the same game / match = same transition.
+// Leaving a game is tied to the game that was left.
+const getTransitionId = (transition) => {
+    const anchor = transition.anchor || (transition.from === 'IN_GAME' ? transition.previousAnchor : '');
+    return `${transition.source}:${transition.playerKey}:${transition.to}:${anchor}`;
+}
+
+const getPlayerName = (player) => {
+    if (player.gameName && player.tagLine) return `${player.gameName}#${String(player.tagLine).replace(/^#/, '')}`;
+    return player.puuid ? `${player.puuid.substring(0, 8)}...` : 'Unknown player';
+}
+
+const describeTransition = (transition) => {
+    const name = `${getPlayerName(transition.player)} (${String(transition.player.region).toUpperCase()})`;
+    if (transition.to === 'IN_GAME') return `${name} entered a game`;
+    if (transition.from === 'IN_GAME') return `${name} left their game${transition.statusMessage && transition.to !== 'NOT_IN_GAME' ? `: ${transition.statusMessage}` : ''}`;
+    if (transition.to === 'HIGH_RISK') return `${name} is now ${transition.statusMessage || 'HIGH RISK'}`;
+    return `${name} is no longer high risk: ${transition.statusMessage || transition.to}`;
+}
+
+// Compares each { player, status } with the stored last status and records the new one.
+// ERROR statuses are skipped and leave the stored status alone.
+// Each transition keeps both stored states, to put the old one back if delivery fails.
+const collectTransitions = async (source, results) => {
+    const transitions = [];
+    for (const { player, status } of results) {
+        if (!player || !status || !status.status || status.status === 'ERROR') continue;
+        const playerKey = getPlayerKey(source, player);
+        const previous = await getState('state', `${source}:${playerKey}`);
+        const anchor = getStatusAnchor(status);
+        const current = { status: status.status, anchor };
+        await setState('state', `${source}:${playerKey}`, current);
+
+        if (!previous || previous.status === status.status) continue;
+        if (!NOTIFY_STATUSES.has(previous.status) && !NOTIFY_STATUSES.has(status.status)) continue;
+        transitions.push({
+            source,
+            playerKey,
+            player: { gameName: player.gameName, tagLine: player.tagLine, region: player.region, puuid: player.puuid },
+            from: previous.status,
+            to: status.status,
+            statusMessage: status.statusMessage || null,
+            anchor,
+            previousAnchor: previous.anchor,
+            at: new Date().toISOString(),
+            states: { previous, current },
+        });
+    }
+    return transitions;
+}
+
+// Puts the player's previous status back, unless a newer check has replaced ours since
+const restorePreviousState = async (transition) => {
+    const key = `${transition.source}:${transition.playerKey}`;
+    const stored = await getState('state', key);
+    const { previous, current } = transition.states;
+    if (stored && stored.status === current.status && stored.anchor === current.anchor) {
+        await setState('state', key, previous);
+    }
+}
+// ---------------------
+
+// --- PAYLOADS ---
+const toGenericPayload = (transition) => ({
+    event: 'player.status_changed',
+    id: transition.id,
+    source: transition.source,
+    player: transition.player,
+    from: transition.from,
+    to: transition.to,
+    statusMessage: transition.statusMessage,
+    text: describeTransition(transition),
+    at: transition.at,
+});
+
+const toDiscordPayload = (transition) => ({
+    username: BOT_NAME,
+    embeds: [{
+        title: describeTransition(transition),
+        description: `${transition.from} → ${transition.to}`,
+        color: STATUS_COLORS[transition.to] || STATUS_COLORS.NOT_IN_GAME,
+        timestamp: transition.at,
+    }],
+});
+
+const toSlackPayload = (transition) => ({
+    text: `*${describeTransition(transition)}* (${transition.from} → ${transition.to})`,
+});
+
+const PAYLOAD_BUILDERS = { generic: toGenericPayload, discord: toDiscordPayload, slack: toSlackPayload };
+// ---------------------
+
+// --- DELIVERY ---
+// Deliveries in flight on this instance, so concurrent checks don't double-send
+const pendingDeliveries = new Set();
+
+// Network errors, 429s and 5xx are retried; other 4xx mean the payload or URL is wrong
+const isRetryable = (status) => status === 429 || status >= 500;
+
+const getRetryDelayMs = (response, attempt) => {
+    const retryAfter = response ? Number(response.headers.get('retry-after')) : 0;
+    if (retryAfter > 0) return retryAfter * 1000;
+    return RETRY_BASE_MS * Math.pow(2, attempt);
+}
+
+// Resolves with true once delivered, false after giving up. Never throws.
+const deliver = async (target, transition) => {
+    const body = JSON.stringify(PAYLOAD_BUILDERS[target.format](transition));
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        let response = null;
+        try {
+            response = await fetch(target.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Webhook-Id': transition.id },
+                body: body,
+                timeout: WEBHOOK_TIMEOUT_MS,
+            });
+            if (response.ok) {
+                console.log(`[Webhook] Sent ${transition.id} to ${target.format} webhook (attempt ${attempt + 1})`);
+                return true;
+            }
+            if (!isRetryable(response.status)) {
+                console.error(`[Webhook] ${target.format} webhook rejected ${transition.id} with ${response.status}, not retrying`);
+                return false;
+            }
+        } catch (error) {
+            console.warn(`[Webhook] Delivery of ${transition.id} failed: ${error.message}`);
+        }
+
+        const retryDelayMs = getRetryDelayMs(response, attempt);
+        if (attempt + 1 >= MAX_ATTEMPTS || retryDelayMs > MAX_RETRY_AFTER_MS) break;
+        console.warn(`[Webhook] Retrying ${transition.id} in ${retryDelayMs}ms (attempt ${attempt + 1}/${MAX_ATTEMPTS})`);
+        await delay(retryDelayMs);
+    }
+    console.error(`[Webhook] Giving up on ${transition.id} for ${target.format} webhook`);
+    return false;
+}
+
+// Delivers a transition to every webhook that hasn't had it yet, and marks it sent
+// per webhook only once that webhook took it. If any webhook failed, the player's
+// previous status is restored so the next check retries it.
+const sendTransition = async (transition) => {
+    const transitionId = getTransitionId(transition);
+    // Hashed, since Riot IDs aren't always header-safe
+    const outgoing = { ...transition, id: crypto.createHash('sha1').update(transitionId).digest('hex') };
+    const results = await Promise.all(targets.map(async (target) => {
+        const sentKey = `${transitionId}:${target.url}`;
+        if (pendingDeliveries.has(sentKey) || await getState('sent', sentKey)) return true;
+        pendingDeliveries.add(sentKey);
+        try {
+            const delivered = await deliver(target, outgoing);
+            if (delivered) await setState('sent', sentKey, true);
+            return delivered;
+        } finally {
+            pendingDeliveries.delete(sentKey);
+        }
+    }));
+    if (results.includes(false)) {
+        console.warn(`[Webhook] ${outgoing.id} not delivered everywhere, will retry on the next check`);
+        await restorePreviousState(transition);
+    }
+}
+// ---------------------
+
+// Resolves with true once `promise` settles, or false after `ms`
+const waitAtMost = (promise, ms) => {
+    let timer = null;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(false), ms); });
+    return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+// ---------------------
+
+// --- NOTIFY ---
+// Call after a check with the players and their new statuses:
+// `results` is [{ player: { gameName, tagLine, region, puuid }, status }].
+// Sends every verdict change to every configured webhook, all at once (a call has
+// at most one change per player, so there is no order to keep), and resolves with
+// the transitions being sent once they're delivered or WEBHOOK_BUDGET_MS is up.
+// Never throws, so a broken webhook can't fail the check itself.
+const notifyStatusChanges = async (source, results) => {
+    if (targets.length === 0) return [];
+    try {
+        const transitions = await collectTransitions(source, results);
+        if (transitions.length === 0) return [];
+        console.log(`[Webhook] ${transitions.length} status change(s) from ${source}, notifying ${targets.length} webhook(s): ${transitions.map(describeTransition).join('; ')}`);
+        const deliveries = Promise.all(transitions.map(sendTransition)).catch(error => {
+            console.error("[Webhook] Failed to send notifications:", error);
+        });
+        if (!await waitAtMost(deliveries, WEBHOOK_BUDGET_MS)) {
+            console.warn(`[Webhook] Deliveries still running after ${WEBHOOK_BUDGET_MS}ms, not waiting for them`);
+        }
+        return transitions;
+    } catch (error) {
+        console.error("[Webhook] Failed to send notifications:", error);
+        return [];
+    }
+}
+// ---------------------
+
+module.exports = {
+    parseWebhookTargets,
+    setWebhookTargets,
+    setWebhookStore,
+    notifyStatusChanges,
+};
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/*
+* ======================================
+* FILE: scripts/webhook-receiver.js
+* ======================================
+* Local stub receiver for trying out webhooks (lib/webhooks.js) without
+* Discord or Slack. Prints every delivery it gets.
+*
+*   node scripts/webhook-receiver.js [--port 4001] [--fail 2] [--status 503] [--retry-after 1]
+*
+* --fail N answers the first N deliveries with --status (default 500), to
+* see the retries. Then run the app with WEBHOOK_URLS=http://localhost:4001
+* (RIOT_MOCK=1 works too) and check the same players twice.
+*/
+
+const http = require('http');
+
+// --- CONFIGURATION ---
+const getFlag = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? Number(process.argv[index + 1]) : fallback;
+}
+
+const PORT = getFlag('port', 4001);
+const FAIL_COUNT = getFlag('fail', 0);
+const FAIL_STATUS = getFlag('status', 500);
+const RETRY_AFTER_SECONDS = getFlag('retry-after', 0); // Sent with the failures when set
+// ---------------------
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received++;
+        const failing = received <= FAIL_COUNT;
+        let payload = body;
+        try {
+            payload = JSON.stringify(JSON.parse(body), null, 2);
+        } catch (error) {
+            // Not JSON, print as is
+        }
+        console.log(`[Receiver] #${received} ${req.method} ${req.url} id=${req.headers['x-webhook-id'] || '-'} -> ${failing ? FAIL_STATUS : 204}`);
+        console.log(payload);
+
+        if (failing) {
+            if (RETRY_AFTER_SECONDS > 0) res.setHeader('Retry-After', String(RETRY_AFTER_SECONDS));
+            res.statusCode = FAIL_STATUS;
+            res.end();
+            return;
+        }
+        res.statusCode = 204;
+        res.end();
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`[Receiver] Listening on http://localhost:${PORT}${FAIL_COUNT ? ` (failing the first ${FAIL_COUNT} with ${FAIL_STATUS})` : ''}`);
+});
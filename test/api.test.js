@@ -0,0 +1,170 @@
+/*
+* ======================================
+* FILE: test/api.test.js
+* ======================================
+* The /api handlers end to end, called in process against the mock Riot
+* API, so it needs RIOT_MOCK=1 (set by `npm test`). Players come from
+* fixtures/players.json; MockMid is the one in a live game.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { callHandler, silenceLogs } = require('./helpers/http');
+const { createSlidingWindowLimiter, setClientLimiter } = require('../lib/guard');
+const checkStatus = require('../api/check-status');
+const playerReport = require('../api/player-report');
+const getPlayerDetails = require('../api/get-player-details');
+const getLastGameParticipants = require('../api/get-last-game-participants');
+const checkRadarPlayersStatus = require('../api/check-radar-players-status');
+
+const REGION = 'euw1';
+const LOBBY = ['MockTop', 'MockMid'].map((gameName, i) => ({ id: String(i + 1), gameName, tagLine: 'MOCK', region: REGION }));
+
+test.beforeEach(() => {
+    setClientLimiter(createSlidingWindowLimiter()); // Every test starts with a full quota
+});
+
+// --- check-status ---
+test('check-status answers one status per player, in order', async (t) => {
+    silenceLogs(t);
+    const players = [...LOBBY, { id: '3', gameName: 'Nobody', tagLine: 'MOCK', region: REGION }];
+    const res = await callHandler(checkStatus, { body: { players } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.map(s => s.id), ['1', '2', '3']);
+    assert.equal(res.body[1].status, 'IN_GAME');
+    assert.equal(res.body[2].status, 'ERROR');
+    assert.equal(res.body[2].code, 'PLAYER_NOT_FOUND');
+    assert.ok(res.body.every(s => 'premade' in s));
+});
+
+test('check-status streams ndjson player events and a summary', async (t) => {
+    silenceLogs(t);
+    const res = await callHandler(checkStatus, { body: { players: LOBBY, stream: 'ndjson' } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['content-type'], 'application/x-ndjson');
+    assert.ok(res.ended);
+    const events = res.chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(events.map(e => e.type), ['player', 'player', 'summary']);
+    assert.deepEqual(events.slice(0, 2).map(e => e.id).sort(), ['1', '2']);
+    const summary = events[2];
+    assert.equal(summary.total, 2);
+    assert.equal(summary.verdict, 'DODGE'); // MockMid is in game
+    assert.ok(Array.isArray(summary.premades));
+});
+
+test('check-status streams server-sent events when asked with Accept', async (t) => {
+    silenceLogs(t);
+    const res = await callHandler(checkStatus, { headers: { accept: 'text/event-stream' }, body: { players: LOBBY } });
+    assert.equal(res.headers['content-type'], 'text/event-stream');
+    const events = res.chunks.join('').trim().split('\n\n');
+    assert.equal(events.length, 3);
+    assert.match(events[0], /^event: player\ndata: \{/);
+    assert.match(events[2], /^event: summary\ndata: \{/);
+});
+
+test('check-status rejects a missing body or repeated ids', async (t) => {
+    silenceLogs(t);
+    let res = await callHandler(checkStatus, {});
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    res = await callHandler(checkStatus, { body: { players: [LOBBY[0], { ...LOBBY[1], id: '1' }] } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+});
+
+test('every POST route answers a missing body with INVALID_REQUEST', async (t) => {
+    silenceLogs(t);
+    for (const handler of [checkStatus, playerReport, getPlayerDetails, getLastGameParticipants, checkRadarPlayersStatus]) {
+        const res = await callHandler(handler, {});
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'INVALID_REQUEST');
+    }
+});
+
+test('handlers answer preflights and refuse other methods', async (t) => {
+    silenceLogs(t);
+    let res = await callHandler(checkStatus, { method: 'OPTIONS' });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['access-control-allow-methods'], 'POST, OPTIONS');
+    res = await callHandler(checkStatus, { method: 'GET' });
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.body.code, 'METHOD_NOT_ALLOWED');
+});
+// ---------------------
+
+// --- player-report and get-player-details ---
+test('player-report sums up the last matches', async (t) => {
+    silenceLogs(t);
+    const res = await callHandler(playerReport, { body: { gameName: 'MockTop', tagLine: 'MOCK', region: REGION, count: 3 } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.puuid, 'mock-puuid-mocktop');
+    assert.equal(res.body.games, 3);
+    assert.equal(res.body.matches.length, 3);
+    assert.equal(res.body.wins + res.body.losses + res.body.remakes, 3);
+    for (const key of ['winRate', 'streak', 'avgKda', 'topChampions', 'roles']) assert.ok(key in res.body, key);
+});
+
+test('player-report rejects a bad count or an unknown player', async (t) => {
+    silenceLogs(t);
+    let res = await callHandler(playerReport, { body: { gameName: 'MockTop', tagLine: 'MOCK', region: REGION, count: 500 } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+    res = await callHandler(playerReport, { body: { gameName: 'Nobody', tagLine: 'MOCK', region: REGION } });
+    assert.equal(res.statusCode, 404);
+    assert.equal(res.body.code, 'PLAYER_NOT_FOUND');
+});
+
+test('player-report and get-player-details are charged per Riot call', async (t) => {
+    silenceLogs(t);
+    setClientLimiter(createSlidingWindowLimiter({ windowMs: 60000, limit: 12 }));
+    const report = { gameName: 'MockTop', tagLine: 'MOCK', region: REGION };
+    let res = await callHandler(playerReport, { body: report }); // 10 matches + 3 lookups
+    assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+    res = await callHandler(playerReport, { body: { ...report, count: 9 } });
+    assert.equal(res.statusCode, 200);
+    // Details: 4 lookups + riskConfig.matchCount (5 by default), from another client
+    res = await callHandler(getPlayerDetails, { ip: '203.0.113.2', body: { puuid: 'mock-puuid-mocktop', region: REGION, riskConfig: { matchCount: 9 } } });
+    assert.equal(res.body.code, 'QUOTA_EXCEEDED');
+    res = await callHandler(getPlayerDetails, { ip: '203.0.113.2', body: { puuid: 'mock-puuid-mocktop', region: REGION } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.gameName, 'MockTop');
+});
+// ---------------------
+
+// --- get-last-game-participants ---
+test('get-last-game-participants lists everyone else from the last game', async (t) => {
+    silenceLogs(t);
+    const res = await callHandler(getLastGameParticipants, { body: { gameName: 'MockTop', tagLine: 'MOCK', region: REGION } });
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.length, 9);
+    assert.ok(!res.body.some(p => p.puuid === 'mock-puuid-mocktop'));
+    assert.deepEqual(new Set(res.body.map(p => p.relation)), new Set(['ally', 'enemy']));
+    assert.ok(res.body.every(p => p.encounters >= 1 && p.match && p.match.matchId));
+});
+
+test('get-last-game-participants rejects a gameCount above the cap', async (t) => {
+    silenceLogs(t);
+    const res = await callHandler(getLastGameParticipants, { body: { gameName: 'MockTop', tagLine: 'MOCK', region: REGION, gameCount: 50 } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+});
+// ---------------------
+
+// --- check-radar-players-status ---
+test('check-radar-players-status says who is in game and when to poll again', async (t) => {
+    silenceLogs(t);
+    const players = [{ puuid: 'mock-puuid-mockmid', region: REGION }, { puuid: 'mock-puuid-redtop', region: REGION }];
+    const res = await callHandler(checkRadarPlayersStatus, { body: { players } });
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.map(s => [s.puuid, s.status]), [['mock-puuid-mockmid', 'IN_GAME'], ['mock-puuid-redtop', 'NOT_IN_GAME']]);
+    assert.ok(res.body[0].eta && res.body[0].eta.expectedEnd > res.body[0].gameStartTime);
+    assert.ok(Number(res.headers['x-suggested-poll-interval']) > 0);
+});
+
+test('check-radar-players-status rejects entries without a puuid', async (t) => {
+    silenceLogs(t);
+    const res = await callHandler(checkRadarPlayersStatus, { body: { players: [{ region: REGION }] } });
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_REQUEST');
+});
+// ---------------------
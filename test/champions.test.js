@@ -0,0 +1,42 @@
+/*
+* ======================================
+* FILE: test/champions.test.js
+* ======================================
+* Champion name resolution (lib/champions.js) against the Data Dragon
+* fixtures, so it needs RIOT_MOCK=1 (set by `npm test`).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadChampionData, resolveChampion } = require('../lib/champions');
+
+test.before(async () => {
+    await loadChampionData();
+});
+
+const resolve = (input) => {
+    const { champion, matchedBy, suggestions } = resolveChampion(input);
+    return { id: champion ? champion.id : null, matchedBy, suggestions };
+}
+
+test('matches names however they are written', () => {
+    assert.deepEqual(resolve("kai'sa"), { id: 'Kaisa', matchedBy: 'name', suggestions: undefined });
+    assert.equal(resolve('Cho Gath').id, 'Chogath');
+    assert.equal(resolve('lee sin').id, 'LeeSin');
+    assert.equal(resolve('Wukong').id, 'MonkeyKing');
+});
+
+test('knows common nicknames', () => {
+    assert.deepEqual(resolve('kat'), { id: 'Katarina', matchedBy: 'alias', suggestions: undefined });
+    assert.equal(resolve('vel').id, 'Velkoz');
+});
+
+test('forgives a small typo', () => {
+    assert.deepEqual(resolve('katrina'), { id: 'Katarina', matchedBy: 'typo', suggestions: undefined });
+});
+
+test('suggests close names for anything else', () => {
+    const { id, suggestions } = resolve('zzzzzz');
+    assert.equal(id, null);
+    assert.ok(suggestions.length > 0 && suggestions.length <= 3);
+});
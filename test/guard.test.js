@@ -0,0 +1,78 @@
+/*
+* ======================================
+* FILE: test/guard.test.js
+* ======================================
+* Per-client quota and request caps (lib/guard.js).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequest, createResponse } = require('./helpers/http');
+const { MAX_PLAYERS_PER_REQUEST, MAX_RADAR_PLAYERS_PER_REQUEST, createSlidingWindowLimiter, getQuotaPollInterval, setClientLimiter, guardRequest } = require('../lib/guard');
+
+// Runs the guard and returns the error code it answered with, or null if it let the request through
+const guard = (req, options) => {
+    const res = createResponse();
+    return guardRequest(req, res, options) ? null : res.body.code;
+}
+
+test('the limiter allows requests until the window is full', () => {
+    const limiter = createSlidingWindowLimiter({ windowMs: 1000, limit: 3 });
+    assert.equal(limiter.take('a', 2, 0).allowed, true);
+    assert.equal(limiter.take('a', 1, 100).allowed, true);
+    const denied = limiter.take('a', 1, 200);
+    assert.equal(denied.allowed, false);
+    assert.equal(denied.retryAfterMs, 800); // The first request leaves the window at 1000
+    assert.equal(limiter.take('b', 1, 200).allowed, true);
+    assert.equal(limiter.take('a', 2, 1001).allowed, true);
+});
+
+test('the quota is per IP, even with the shared access token', () => {
+    setClientLimiter(createSlidingWindowLimiter({ windowMs: 60000, limit: 2 }));
+    const first = { ip: '203.0.113.1', token: 'shared' };
+    assert.equal(guard(createRequest(first)), null);
+    assert.equal(guard(createRequest(first)), null);
+    assert.equal(guard(createRequest(first)), 'QUOTA_EXCEEDED');
+    assert.equal(guard(createRequest({ ip: '203.0.113.2', token: 'shared' })), null);
+});
+
+test('made-up access tokens do not get a quota of their own', () => {
+    setClientLimiter(createSlidingWindowLimiter({ windowMs: 60000, limit: 2 }));
+    const results = Array.from({ length: 5 }, (_, i) => guard(createRequest({ token: `junk-${i}` })));
+    assert.deepEqual(results, [null, null, 'QUOTA_EXCEEDED', 'QUOTA_EXCEEDED', 'QUOTA_EXCEEDED']);
+});
+
+test('routes can charge per player or a fixed cost', () => {
+    setClientLimiter(createSlidingWindowLimiter({ windowMs: 60000, limit: 5 }));
+    const players = [{}, {}, {}];
+    assert.equal(guard(createRequest({ body: { players } }), { costPerPlayer: true }), null);
+    assert.equal(guard(createRequest({ body: { players } }), { costPerPlayer: true }), 'QUOTA_EXCEEDED');
+    assert.equal(guard(createRequest({ ip: '203.0.113.9' }), { cost: 6 }), 'QUOTA_EXCEEDED');
+    assert.equal(guard(createRequest({ ip: '203.0.113.9' }), { cost: 5 }), null);
+});
+
+test('too many players are rejected before any quota is used', () => {
+    setClientLimiter(createSlidingWindowLimiter({ windowMs: 60000, limit: 1 }));
+    const players = Array.from({ length: MAX_PLAYERS_PER_REQUEST + 1 }, () => ({}));
+    const res = createResponse();
+    assert.equal(guardRequest(createRequest({ body: { players } }), res), false);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.body.code, 'TOO_MANY_PLAYERS');
+    assert.equal(guard(createRequest()), null);
+});
+
+test('a full radar sweep fits the quota when polled as suggested', () => {
+    const limiter = createSlidingWindowLimiter();
+    const interval = getQuotaPollInterval(MAX_RADAR_PLAYERS_PER_REQUEST);
+    for (let now = 0; now < 10 * 60000; now += interval) {
+        assert.equal(limiter.take('radar', MAX_RADAR_PLAYERS_PER_REQUEST, now).allowed, true, `sweep at ${now}ms`);
+    }
+});
+
+test('preflights and GETs skip the quota', () => {
+    setClientLimiter(createSlidingWindowLimiter({ windowMs: 60000, limit: 0 }));
+    const res = createResponse();
+    assert.equal(guardRequest({ method: 'OPTIONS', headers: {} }, res), false);
+    assert.equal(res.statusCode, 200);
+    assert.equal(guardRequest({ method: 'GET', headers: {} }, createResponse(), { methods: 'GET, OPTIONS' }), true);
+});
@@ -0,0 +1,47 @@
+/*
+* ======================================
+* FILE: test/helpers/http.js
+* ======================================
+* Just enough of Vercel's req / res to call the /api handlers in process:
+* status + json for plain replies, write + end for streamed ones.
+*/
+
+const createRequest = ({ method = 'POST', ip = '203.0.113.1', token, headers = {}, body } = {}) => ({
+    method,
+    headers: { 'x-forwarded-for': ip, ...(token ? { 'x-access-token': token } : {}), ...headers },
+    body,
+});
+
+const createResponse = () => {
+    const res = { statusCode: 200, headers: {}, body: null, chunks: [], headersSent: false, ended: false };
+    res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+    res.getHeader = (name) => res.headers[name.toLowerCase()];
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; res.headersSent = true; res.ended = true; return res; };
+    res.write = (chunk) => { res.chunks.push(String(chunk)); res.headersSent = true; return true; };
+    res.end = () => { res.ended = true; return res; };
+    return res;
+}
+
+// Runs a handler to completion and returns the response
+const callHandler = async (handler, request) => {
+    const res = createResponse();
+    await handler(createRequest(request), res);
+    return res;
+}
+
+// The handlers log every lookup; keep the test output readable
+const silenceLogs = (t) => {
+    const { log, warn, error } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+    t.after(() => Object.assign(console, { log, warn, error }));
+}
+
+module.exports = {
+    createRequest,
+    createResponse,
+    callHandler,
+    silenceLogs,
+};
@@ -0,0 +1,59 @@
+/*
+* ======================================
+* FILE: test/helpers/page-script.js
+* ======================================
+* The frontend is one inline <script> in index.html, with no build step.
+* This pulls single top-level declarations (constants and functions) out
+* of it and runs them in a sandbox, so pure helpers like the paste parser
+* can be tested without a browser.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const PAGE_PATH = path.join(__dirname, '..', '..', 'index.html');
+
+const readPageScript = () => {
+    const html = fs.readFileSync(PAGE_PATH, 'utf8');
+    const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(match => match[1]);
+    return scripts.sort((a, b) => b.length - a.length)[0]; // The app script, not the tailwind config
+}
+
+// Source of `const NAME = ...;` or `function NAME(...) { ... }`. A simple
+// bracket counter that skips escaped characters: good enough for this
+// file's declarations, which keep their brackets balanced inside strings.
+const extractDeclaration = (script, name) => {
+    const start = script.search(new RegExp(`\\n\\s*(const ${name} =|function ${name}\\()`));
+    if (start === -1) throw new Error(`${name} not found in index.html`);
+    const isFunction = /^\s*function/.test(script.slice(start));
+    let depth = 0;
+    for (let i = start; i < script.length; i++) {
+        const char = script[i];
+        if (char === '\\') {
+            i++; // Escaped character, e.g. \( in a regex
+            continue;
+        }
+        if (char === '{' || char === '[' || char === '(') depth++;
+        if (char === '}' || char === ']' || char === ')') {
+            depth--;
+            if (isFunction && depth === 0 && char === '}') return script.slice(start, i + 1);
+        }
+        if (!isFunction && depth === 0 && char === ';') return script.slice(start, i + 1);
+    }
+    throw new Error(`Couldn't find the end of ${name} in index.html`);
+}
+
+// Returns { name: value } for the given declarations, evaluated in order
+// (so list constants before the functions that use them)
+const loadPageDeclarations = (names) => {
+    const script = readPageScript();
+    const source = names.map(name => extractDeclaration(script, name)).join('\n');
+    const context = vm.createContext({});
+    vm.runInContext(`${source}\nthis.__exports = { ${names.join(', ')} };`, context);
+    return context.__exports;
+}
+
+module.exports = {
+    loadPageDeclarations,
+};
@@ -0,0 +1,53 @@
+/*
+* ======================================
+* FILE: test/paste-parser.test.js
+* ======================================
+* The lobby / Riot ID paste parser (parseLobbyText in index.html).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPageDeclarations } = require('./helpers/page-script');
+
+const { parseLobbyText } = loadPageDeclarations(['REGION_ALIASES', 'GAME_NAME_PATTERN', 'parseLobbyText']);
+
+// Drop the sandbox's prototypes so deepStrictEqual compares plain values
+const parse = (text, defaultRegion = 'EUW1') => JSON.parse(JSON.stringify(parseLobbyText(text, defaultRegion)));
+
+test('reads lobby chat lines', () => {
+    const entries = parse('Faker#KR1 joined the lobby\nKeria #T1 has joined the lobby.');
+    assert.deepEqual(entries.map(e => [e.gameName, e.tagLine, e.region]), [['Faker', 'KR1', 'EUW1'], ['Keria', 'T1', 'EUW1']]);
+});
+
+test('skips players who left', () => {
+    const [entry] = parse('Faker#KR1 left the lobby');
+    assert.equal(entry.skipped, 'left the lobby');
+});
+
+test('splits comma-separated lists', () => {
+    assert.deepEqual(parse('A B#EUW, C#123').map(e => e.gameName), ['A B', 'C']);
+});
+
+test('picks up a region in brackets or after the tag', () => {
+    const [bracketed, trailing] = parse('Faker#KR1 (KR)\nCaps#G2 euw');
+    assert.equal(bracketed.region, 'KR');
+    assert.equal(trailing.region, 'EUW1');
+});
+
+test('reports an unknown bracketed region and uses the selected one', () => {
+    const [entry] = parse('Rekkles#FNC (XX)', 'NA1');
+    assert.deepEqual([entry.gameName, entry.tagLine, entry.region], ['Rekkles', 'FNC', 'NA1']);
+    assert.equal(entry.warning, "unknown region 'XX'");
+    assert.equal(entry.error, undefined);
+});
+
+test('rejects lines without a Riot ID', () => {
+    const [entry] = parse('hello everyone');
+    assert.equal(entry.error, 'no Riot ID (Name#TAG) found');
+});
+
+test('rejects game names Riot would not allow', () => {
+    const [tooLong, markup] = parse('ABCDEFGHIJKLMNOPQ#EUW\n<img src=x>#EUW');
+    assert.equal(tooLong.error, 'game name is longer than 16 characters');
+    assert.match(markup.error, /characters/);
+});
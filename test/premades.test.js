@@ -0,0 +1,59 @@
+/*
+* ======================================
+* FILE: test/premades.test.js
+* ======================================
+* Duo / premade detection (lib/premades.js).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MIN_SHARED_MATCHES, detectPremades } = require('../lib/premades');
+
+// History with the given [matchId, teamId] pairs
+const createHistory = (id, games) => ({ id, matches: games.map(([matchId, teamId]) => ({ matchId, teamId })) });
+
+test('two players on the same team often enough are a duo', () => {
+    const games = [['M1', 100], ['M2', 200], ['M3', 100]];
+    const groups = detectPremades([createHistory('a', games), createHistory('b', games), createHistory('c', [['M9', 100]])]);
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].type, 'duo');
+    assert.deepEqual([...groups[0].playerIds].sort(), ['a', 'b']);
+    assert.equal(groups[0].confidence, 1);
+});
+
+test('sharing a game once is not enough', () => {
+    const shared = Array.from({ length: MIN_SHARED_MATCHES - 1 }, (_, i) => [`M${i}`, 100]);
+    const groups = detectPremades([createHistory('a', [...shared, ['A1', 100]]), createHistory('b', [...shared, ['B1', 100]])]);
+    assert.deepEqual(groups, []);
+});
+
+test('being in the same match on opposite teams does not count', () => {
+    const groups = detectPremades([createHistory('a', [['M1', 100], ['M2', 100]]), createHistory('b', [['M1', 200], ['M2', 200]])]);
+    assert.deepEqual(groups, []);
+});
+
+test('linked pairs merge into one premade', () => {
+    const games = [['M1', 100], ['M2', 100]];
+    const groups = detectPremades([createHistory('a', games), createHistory('b', games), createHistory('c', games)]);
+    assert.equal(groups.length, 1);
+    assert.equal(groups[0].type, 'premade');
+    assert.deepEqual([...groups[0].playerIds].sort(), ['a', 'b', 'c']);
+});
+
+test('a chain of pairs is not a premade', () => {
+    // a-b and b-c share games, but a and c were never on the same team
+    const groups = detectPremades([
+        createHistory('a', [['M1', 100], ['M2', 100], ['M3', 100]]),
+        createHistory('b', [['M1', 100], ['M2', 100], ['M3', 100], ['M4', 200], ['M5', 200]]),
+        createHistory('c', [['M1', 200], ['M4', 200], ['M5', 200]]),
+    ]);
+    assert.deepEqual(groups.map(g => [g.type, [...g.playerIds].sort()]), [['duo', ['a', 'b']]]);
+    assert.equal(groups[0].sharedMatches, 3);
+    assert.deepEqual(groups[0].pairs.map(p => p.playerIds), [['a', 'b']]);
+});
+
+test('players without an id are left out', () => {
+    const games = [['M1', 100], ['M2', 100]];
+    const groups = detectPremades([createHistory(undefined, games), createHistory(undefined, games), createHistory('a', games)]);
+    assert.deepEqual(groups, []);
+});
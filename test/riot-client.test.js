@@ -0,0 +1,66 @@
+/*
+* ======================================
+* FILE: test/riot-client.test.js
+* ======================================
+* Rate limit buckets and per-method queues (lib/riot-client.js). The
+* queue test goes through the mock API, so it needs RIOT_MOCK=1 (set by
+* `npm test`).
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRateLimitHeader, updateBuckets, getWaitTime, authenticatedFetch, suggestPollInterval } = require('../lib/riot-client');
+const { setMockFaults } = require('../lib/mock-riot');
+const { silenceLogs } = require('./helpers/http');
+
+test('parses rate limit headers into buckets', () => {
+    assert.deepEqual(parseRateLimitHeader('20:1,100:120'), [
+        { limit: 20, windowMs: 1000, timestamps: [] },
+        { limit: 100, windowMs: 120000, timestamps: [] },
+    ]);
+    assert.equal(parseRateLimitHeader(''), null);
+    assert.equal(parseRateLimitHeader('abc'), null);
+});
+
+test('a full bucket waits until its oldest call leaves the window', () => {
+    const now = 10000;
+    const buckets = parseRateLimitHeader('2:1');
+    assert.equal(getWaitTime(buckets, now), 0);
+    buckets[0].timestamps.push(now - 400, now - 100);
+    assert.equal(getWaitTime(buckets, now), 600);
+    buckets[0].timestamps = [now - 1500, now - 100]; // The first one has left the window
+    assert.equal(getWaitTime(buckets, now), 0);
+});
+
+test('new limits keep the call history without counting it twice', () => {
+    const now = Date.now();
+    const buckets = parseRateLimitHeader('20:1,100:120');
+    const calls = [now - 90000, now - 500, now - 100];
+    buckets.forEach(bucket => bucket.timestamps.push(...calls));
+
+    let updated = buckets;
+    for (let i = 0; i < 3; i++) updated = updateBuckets(updated, '20:1,100:120');
+    assert.equal(updated[0].timestamps.length, 2); // Only the calls from the last second
+    assert.equal(updated[1].timestamps.length, 3);
+    assert.equal(updateBuckets(buckets, null), buckets);
+});
+
+test('a method on hold does not hold up other methods', async (t) => {
+    t.after(() => setMockFaults(null)); // Back to the fixture faults
+    silenceLogs(t);
+
+    setMockFaults([{ match: 'by-summoner/mock-puuid-mockmid', status: 429, retryAfter: 1, rateLimitType: 'method', times: 1 }]);
+    // Finishing order, not timing: with one shared queue the summoner call
+    // would wait behind the spectator call's Retry-After and finish last
+    const spectatorUrl = 'https://euw1.api.riotgames.com/lol/spectator/v5/active-games/by-summoner/mock-puuid-mockmid';
+    const finished = [];
+    const track = (name, request) => request.then(response => { finished.push(name); return response; });
+    const held = track('spectator', authenticatedFetch(spectatorUrl));
+    // Start the other call once the spectator method is on hold
+    while (suggestPollInterval(spectatorUrl, 0) === 0) await new Promise(resolve => setImmediate(resolve));
+    const other = track('summoner', authenticatedFetch('https://euw1.api.riotgames.com/lol/summoner/v4/summoners/by-puuid/mock-puuid-mocktop'));
+    const [heldResponse, otherResponse] = await Promise.all([held, other]);
+    assert.equal(otherResponse.status, 200);
+    assert.equal(heldResponse.status, 200); // Retried after the 429
+    assert.deepEqual(finished, ['summoner', 'spectator']);
+});
@@ -0,0 +1,80 @@
+/*
+* ======================================
+* FILE: test/risk.test.js
+* ======================================
+* Dodge risk scoring (lib/risk.js) on hand-built match-v5 payloads.
+*/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { REMAKE_SECONDS, DEFAULT_RISK_CONFIG, resolveRiskConfig, scoreRisk, getLobbyVerdict } = require('../lib/risk');
+
+const MINUTE = 60 * 1000;
+const PUUID = 'test-puuid';
+
+// A finished match that ended `endedMinutesAgo` ago and lasted `minutes`
+const createMatch = ({ endedMinutesAgo, minutes = 30, win = true, kills = 5, deaths = 5, assists = 5 }) => {
+    const end = Date.now() - endedMinutesAgo * MINUTE;
+    return {
+        info: {
+            gameStartTimestamp: end - minutes * MINUTE,
+            gameEndTimestamp: end,
+            gameDuration: minutes * 60,
+            participants: [{ puuid: PUUID, win, kills, deaths, assists }],
+        },
+    };
+}
+
+const getFactor = (risk, name) => risk.factors.find(f => f.name === name);
+
+test('no matches means no score', () => {
+    assert.equal(scoreRisk([], PUUID), null);
+});
+
+test('a fresh loss streak in a long session is HIGH_RISK', () => {
+    const matches = [0, 1, 2, 3, 4].map(i => createMatch({ endedMinutesAgo: 5 + i * 35, win: false, kills: 1, deaths: 8, assists: 2 }));
+    const risk = scoreRisk(matches, PUUID);
+    assert.equal(risk.level, 'HIGH_RISK');
+    assert.equal(getFactor(risk, 'lossStreak').value, 5);
+    assert.equal(getFactor(risk, 'sessionGames').value, 5);
+    assert.equal(risk.gamesAnalyzed, 5);
+});
+
+test('old wins with a good KDA are LOW_RISK', () => {
+    const matches = [0, 1, 2].map(i => createMatch({ endedMinutesAgo: 600 + i * 60, win: true, kills: 10, deaths: 1, assists: 10 }));
+    const risk = scoreRisk(matches, PUUID);
+    assert.equal(risk.level, 'LOW_RISK');
+    assert.equal(risk.score, 0);
+});
+
+test('short games count as remakes', () => {
+    const remake = createMatch({ endedMinutesAgo: 600, minutes: (REMAKE_SECONDS - 60) / 60 });
+    const risk = scoreRisk([remake], PUUID);
+    assert.equal(getFactor(risk, 'remake').score, 1);
+});
+
+test('contributions add up to the score', () => {
+    const matches = [createMatch({ endedMinutesAgo: 20, win: false }), createMatch({ endedMinutesAgo: 60 })];
+    const risk = scoreRisk(matches, PUUID);
+    const total = risk.factors.reduce((sum, f) => sum + f.contribution, 0);
+    assert.equal(risk.score, Math.round(total));
+});
+
+test('overrides change the threshold, bad values fall back to defaults', () => {
+    const config = resolveRiskConfig({ thresholds: { highRisk: 0, freshMinutes: -5 }, weights: { recency: 'a lot' } });
+    assert.equal(config.thresholds.highRisk, 0);
+    assert.equal(config.thresholds.freshMinutes, DEFAULT_RISK_CONFIG.thresholds.freshMinutes);
+    assert.equal(config.weights.recency, DEFAULT_RISK_CONFIG.weights.recency);
+    assert.equal(scoreRisk([createMatch({ endedMinutesAgo: 600 })], PUUID, config).level, 'HIGH_RISK');
+});
+
+test('a missing or non-object riskConfig means the defaults', () => {
+    assert.deepEqual(resolveRiskConfig(null), resolveRiskConfig());
+    assert.deepEqual(resolveRiskConfig('high'), resolveRiskConfig());
+});
+
+test('anyone in game or HIGH_RISK makes the lobby a dodge', () => {
+    assert.equal(getLobbyVerdict([{ status: 'LOW_RISK' }, { status: 'ERROR' }]), 'SAFE');
+    assert.equal(getLobbyVerdict([{ status: 'LOW_RISK' }, { status: 'IN_GAME' }]), 'DODGE');
+    assert.equal(getLobbyVerdict([{ status: 'HIGH_RISK' }]), 'DODGE');
+});
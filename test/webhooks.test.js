@@ -0,0 +1,144 @@
+/*
+* ======================================
+* FILE: test/webhooks.test.js
+* ======================================
+* Webhook transitions, dedupe and retries (lib/webhooks.js), delivered to
+* a stub receiver on a local port.
+*/
+
+// Plenty for a local receiver, and the slow-receiver test only waits this long
+process.env.WEBHOOK_BUDGET_MS = '1000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { silenceLogs } = require('./helpers/http');
+const { createMemoryStore } = require('../lib/cache');
+const { setWebhookTargets, setWebhookStore, notifyStatusChanges } = require('../lib/webhooks');
+
+// --- STUB RECEIVER ---
+// Every delivery is kept in `received`. `replies[path]` lists the status for each
+// delivery to that path in turn (200 once it runs out); 'hold' leaves the
+// request open until release() is called.
+const received = [];
+const replies = {};
+const held = [];
+let baseUrl = '';
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ path: req.url, id: req.headers['x-webhook-id'], body: JSON.parse(body) });
+        const reply = (replies[req.url] || []).shift() || 200;
+        if (reply === 'hold') {
+            held.push(res);
+            return;
+        }
+        res.writeHead(reply).end();
+    });
+});
+
+const release = () => held.splice(0).forEach(res => res.writeHead(200).end());
+const deliveriesTo = (path) => received.filter(r => r.path === path);
+
+test.before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    setWebhookTargets('');
+    release();
+    server.close();
+});
+
+test.beforeEach(() => {
+    received.length = 0;
+    Object.keys(replies).forEach(path => delete replies[path]);
+    setWebhookStore(createMemoryStore());
+});
+// ---------------------
+
+// --- CHECKS ---
+const PLAYER = { gameName: 'MockMid', tagLine: 'MOCK', region: 'euw1', puuid: 'mock-puuid-mockmid' };
+const LOW_RISK = { status: 'LOW_RISK', statusMessage: 'LOW RISK 10 (2h ago)', lastMatchDetails: { matchId: 'EUW1_1' } };
+const IN_GAME = { status: 'IN_GAME', statusMessage: 'IN GAME (3:00)', gameId: 42 };
+
+const check = (status) => notifyStatusChanges('check', [{ player: PLAYER, status }]);
+// ---------------------
+
+test('a verdict change is delivered once per webhook', async (t) => {
+    silenceLogs(t);
+    setWebhookTargets(`${baseUrl}/json,discord=${baseUrl}/discord`);
+
+    assert.deepEqual(await check(LOW_RISK), []); // First sighting: nothing to compare with
+    const [transition] = await check(IN_GAME);
+    assert.equal(transition.from, 'LOW_RISK');
+    assert.equal(transition.to, 'IN_GAME');
+    await check(IN_GAME); // Same game again
+
+    const [json] = deliveriesTo('/json');
+    assert.equal(deliveriesTo('/json').length, 1);
+    assert.equal(json.body.event, 'player.status_changed');
+    assert.deepEqual([json.body.from, json.body.to], ['LOW_RISK', 'IN_GAME']);
+    assert.equal(json.body.text, 'MockMid#MOCK (EUW1) entered a game');
+    const [discord] = deliveriesTo('/discord');
+    assert.equal(deliveriesTo('/discord').length, 1);
+    assert.equal(discord.body.embeds[0].title, 'MockMid#MOCK (EUW1) entered a game');
+    assert.equal(discord.id, json.id);
+});
+
+test('changes between statuses nobody is notified about are not sent', async (t) => {
+    silenceLogs(t);
+    setWebhookTargets(`${baseUrl}/json`);
+    await check({ status: 'NOT_IN_GAME' });
+    assert.deepEqual(await check(LOW_RISK), []);
+    assert.equal(received.length, 0);
+});
+
+test('a failed webhook gets the change again on the next check, the others do not', async (t) => {
+    silenceLogs(t);
+    setWebhookTargets(`${baseUrl}/ok,${baseUrl}/broken`);
+    replies['/broken'] = [400]; // Not retryable, so it fails on the first attempt
+
+    await check(LOW_RISK);
+    await check(IN_GAME);
+    assert.equal(deliveriesTo('/ok').length, 1);
+    assert.equal(deliveriesTo('/broken').length, 1);
+
+    await check(IN_GAME); // The failure put LOW_RISK back, so this is the same change again
+    assert.equal(deliveriesTo('/ok').length, 1);
+    assert.equal(deliveriesTo('/broken').length, 2);
+
+    await check(IN_GAME);
+    assert.equal(received.length, 3);
+});
+
+test('a 5xx is retried within the same check', async (t) => {
+    silenceLogs(t);
+    setWebhookTargets(`${baseUrl}/flaky`);
+    replies['/flaky'] = [503];
+
+    await check(LOW_RISK);
+    await check(IN_GAME); // First attempt, then the second after a 500ms backoff
+    const [first, second] = deliveriesTo('/flaky');
+    assert.equal(deliveriesTo('/flaky').length, 2);
+    assert.equal(second.id, first.id);
+
+    await check(IN_GAME); // Delivered in the end, so not sent again
+    assert.equal(deliveriesTo('/flaky').length, 2);
+});
+
+test('a check stops waiting for a receiver that does not answer', { timeout: 5000 }, async (t) => {
+    silenceLogs(t);
+    setWebhookTargets(`${baseUrl}/slow`);
+    replies['/slow'] = ['hold'];
+
+    await check(LOW_RISK);
+    // Resolves although the receiver never answers (until release() below)
+    const transitions = await check(IN_GAME);
+    assert.equal(transitions.length, 1);
+    assert.equal(deliveriesTo('/slow').length, 1);
+    release();
+});